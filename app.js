@@ -5,14 +5,41 @@ var app = express();
 var fs = require('fs');
 var path = require('path');
 
-var dotenv = require('dotenv');
+// La configuración (variables de entorno y .env) se carga antes que cualquier otro módulo de la app
+const config = require('./src/config');
 var estafeta = require('./src/routes/estafeta');
 var test_pi = require('./src/routes/test_pi');
+var reports = require('./src/routes/reports');
+var authRoutes = require('./src/routes/auth');
+var dashboard = require('./src/routes/dashboard');
 var validator = require('./src/validators/encuesta');
 const logger = require('./src/helpers/logger');
+const worker = require('./src/helpers/submission-worker');
+const browserPool = require('./src/helpers/browser-pool');
+const auth = require('./src/auth');
 
-// Cargar variables de entorno
-dotenv.config();
+// Validar la configuración al arrancar: si falta algo obligatorio la app no se levanta
+let configError = null;
+try {
+  config.validate().forEach(warning => {
+    logger.logAction('WARN_CONFIG', 'Advertencia de configuración: ' + warning, 'app.js:config', { env: config.env });
+  });
+} catch (error) {
+  if (!(error instanceof config.ConfigError)) {
+    throw error;
+  }
+  logger.logAction('ERR_CONFIG', 'Configuración inválida, la aplicación no se inicia', 'app.js:config', {
+    env: config.env,
+    problems: error.problems,
+    missingEnv: error.requiredVar
+  });
+  console.error('❌ ' + error.message);
+  // Al cargarse como módulo (pruebas) el error se propaga; al ejecutarse, no se inicia el servidor
+  if (require.main !== module) {
+    throw error;
+  }
+  configError = error;
+}
 
 /**
  * Manejador de excepciones no capturadas
@@ -68,7 +95,7 @@ app.use(express.static('./public', {
  */
 app.use(function (req, res, next) {
   res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept");
+  res.header("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept, Authorization");
   next();
 });
 
@@ -104,6 +131,20 @@ app.use((req, res, next) => {
 /**
  * API Routes
  */
+/**
+ * Autenticación: /search identifica al empleado por su CURP y le emite su token;
+ * los usuarios locales (Recursos Humanos y operación) obtienen el suyo en /auth/token
+ */
+const { EMPLOYEE, HR, OPERATOR } = auth.ROLES;
+
+app.post('/auth/token', (req, res, next) => {
+  try {
+    authRoutes.token(req, res).catch(next);
+  } catch (error) {
+    next(error);
+  }
+});
+
 app.post('/search', validator.curp, (req, res, next) => {
   try {
     estafeta.search(req, res).catch(next);
@@ -112,7 +153,15 @@ app.post('/search', validator.curp, (req, res, next) => {
   }
 });
 
-app.post('/encuesta', validator.encuesta, (req, res, next) => {
+app.get('/survey/:id', auth.requireRole(EMPLOYEE, HR), (req, res, next) => {
+  try {
+    estafeta.survey(req, res).catch(next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/encuesta', auth.requireRole(EMPLOYEE), validator.encuesta, (req, res, next) => {
   try {
     estafeta.store(req, res).catch(next);
   } catch (error) {
@@ -120,7 +169,83 @@ app.post('/encuesta', validator.encuesta, (req, res, next) => {
   }
 });
 
-app.get('/test', (req, res, next) => {
+app.get('/encuesta/:id', auth.requireRole(EMPLOYEE, HR, OPERATOR), (req, res, next) => {
+  try {
+    estafeta.status(req, res).catch(next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/encuesta/:id/charts/:chart.svg', auth.requireRole(HR), (req, res, next) => {
+  try {
+    estafeta.chart(req, res).catch(next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Análisis por temas de los comentarios de un periodo (HTML, PDF o XLSX)
+ */
+app.get(['/reportes/temas', '/reportes/temas/:format(pdf|xlsx)'], auth.requireRole(HR), (req, res, next) => {
+  try {
+    reports.topics(req, res).catch(next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Exportación de las respuestas de un periodo (CSV o XLSX)
+ */
+app.get('/reportes/respuestas/:format(csv|xlsx)', auth.requireRole(HR), (req, res, next) => {
+  try {
+    reports.responses(req, res).catch(next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Reportes para Recursos Humanos: vista previa (HTML) y descarga (PDF) por envío o por empleado y ola
+ */
+app.get(['/reportes/encuesta/:id', '/reportes/empleado/:external_code/:survey'], auth.requireRole(HR), (req, res, next) => {
+  try {
+    reports.preview(req, res).catch(next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get(['/reportes/encuesta/:id/pdf', '/reportes/empleado/:external_code/:survey/pdf'], auth.requireRole(HR), (req, res, next) => {
+  try {
+    reports.download(req, res).catch(next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Tablero de resultados para Recursos Humanos (HTML) y su API (JSON)
+ */
+app.get('/dashboard', auth.requireRole(HR), (req, res, next) => {
+  try {
+    dashboard.page(req, res).catch(next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/dashboard/api', auth.requireRole(HR), (req, res, next) => {
+  try {
+    dashboard.api(req, res).catch(next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/test', auth.requireRole(OPERATOR), (req, res, next) => {
   try {
     test_pi.test(req, res).catch(next);
   } catch (error) {
@@ -135,8 +260,8 @@ app.get('/', (req, res) => {
 });
 
 // Ruta de prueba para disparar un error crítico y validar envío de correo
-app.get('/test-error', (req, res) => {
-  logger.logAction('ERR_008', '💥 Prueba de error crítico manual', 'app.js:/test-error', {
+app.get('/test-error', auth.requireRole(OPERATOR), (req, res) => {
+  logger.logAction('ERR_SERVER', '💥 Prueba de error crítico manual', 'app.js:/test-error', {
     mensaje: 'Esto es una prueba para forzar un error crítico'
   });
 
@@ -209,7 +334,7 @@ app.use((err, req, res, next) => {
       method: req.method,
       ip: req.ip
     });
-  } else if (err.message && err.message.includes('env')) {
+  } else if (err instanceof config.ConfigError) {
     logger.logAction('ERR_CONFIG', 'Error en la configuración del entorno', 'app.js:errorHandler', {
       message: err.message,
       stack: err.stack,
@@ -240,7 +365,7 @@ app.use((err, req, res, next) => {
   // Asegurarnos de no enviar múltiples respuestas
   if (!res.headersSent) {
     res.status(err.status || 500).json({
-      message: process.env.NODE_ENV === 'production' 
+      message: config.env === 'production' 
         ? 'Ha ocurrido un error interno. Por favor intente más tarde.'
         : err.message || 'Error interno del servidor'
     });
@@ -250,7 +375,7 @@ app.use((err, req, res, next) => {
 /**
  * Arranque del servidor con recuperación de errores
  */
-const PORT = process.env.PORT || 8080;
+const PORT = config.port;
 let server;
 
 function startServer() {
@@ -258,10 +383,13 @@ function startServer() {
     server = app.listen(PORT, () => {
       logger.logAction('INFO_START', 'Servidor iniciado', 'app.js:server', { 
         port: PORT,
-        env: process.env.NODE_ENV || 'development',
+        env: config.env,
         timestamp: new Date().toISOString()
       });
       console.log(`✅ Servidor corriendo en el puerto ${PORT}`);
+
+      // Procesar en segundo plano las encuestas persistidas en la cola
+      worker.start(estafeta.processSubmission);
     });
     
     // Manejar errores específicos del servidor
@@ -295,8 +423,10 @@ function startServer() {
       console.log('🛑 Apagando servidor...');
       
       server.close(() => {
-        console.log('✅ Servidor cerrado correctamente');
-        process.exit(0);
+        worker.stop().then(() => browserPool.close()).then(() => {
+          console.log('✅ Servidor cerrado correctamente');
+          process.exit(0);
+        });
       });
     }
   } catch (error) {
@@ -313,5 +443,13 @@ function startServer() {
   }
 }
 
-// Iniciar el servidor
-startServer();
\ No newline at end of file
+// Iniciar el servidor sólo al ejecutar app.js directamente (las pruebas montan la app por su cuenta)
+if (require.main === module) {
+  if (configError) {
+    process.exitCode = 1;
+  } else {
+    startServer();
+  }
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,160 @@
+const logger = require('../helpers/logger');
+const tokens = require('./tokens');
+const users = require('./users');
+const throttle = require('./throttle');
+
+// Roles de la aplicación
+const ROLES = {
+  EMPLOYEE: 'employee', // Empleado que contesta su encuesta (token emitido por /search)
+  HR: 'hr',             // Analista de Recursos Humanos: reportes y tableros
+  OPERATOR: 'operator'  // Operación: diagnóstico de la aplicación
+};
+
+/**
+ * Validar usuario y contraseña locales, limitando los intentos fallidos por IP y usuario
+ * @param {string} ip - IP de la solicitud
+ * @param {string} username - Usuario
+ * @param {string} password - Contraseña en claro
+ * @returns {Promise<object|null>} - { id, roles }, o null si las credenciales no son válidas
+ * @throws {Error} - code AUTH_THROTTLED (con retryAfter en segundos) si se agotaron los intentos
+ */
+async function login(ip, username, password) {
+  const retryAfter = throttle.retryAfter(ip, username);
+  if (retryAfter) {
+    const error = new Error('Demasiados intentos fallidos de autenticación');
+    error.code = 'AUTH_THROTTLED';
+    error.retryAfter = retryAfter;
+    throw error;
+  }
+
+  const user = await users.authenticate(username, password);
+  if (user) {
+    throttle.reset(ip, username);
+  } else {
+    throttle.fail(ip, username);
+  }
+  return user;
+}
+
+/**
+ * Usuario de una solicitud según el encabezado Authorization:
+ * Bearer <token firmado> o Basic <usuario:contraseña> de un usuario local.
+ * El token sólo se verifica con HMAC; Basic cuesta un scrypt por solicitud, así que conviene pedir un token.
+ * @param {object} req - Solicitud de Express
+ * @returns {Promise<object|null>} - { id, roles, employee }, o null si no hay credenciales válidas
+ * @throws {Error} - code AUTH_THROTTLED si se agotaron los intentos con Basic
+ */
+async function identify(req) {
+  const [scheme, credentials] = (req.get('Authorization') || '').split(/\s+/);
+
+  if (/^bearer$/i.test(scheme)) {
+    const claims = tokens.verify(credentials);
+    return claims ? { id: claims.sub, roles: claims.roles, employee: claims.employee || null } : null;
+  }
+
+  if (/^basic$/i.test(scheme) && credentials) {
+    const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    return separator > 0 ? login(req.ip, decoded.slice(0, separator), decoded.slice(separator + 1)) : null;
+  }
+
+  return null;
+}
+
+/**
+ * Responder 429 a quien agotó sus intentos de autenticación
+ * @param {object} req - Solicitud HTTP
+ * @param {object} res - Respuesta HTTP
+ * @param {number} retryAfter - Segundos para volver a intentar
+ */
+function rejectThrottled(req, res, retryAfter) {
+  logger.logAction('WARN_AUTH_THROTTLED', 'Demasiados intentos fallidos de autenticación', 'auth/index.js:rejectThrottled', {
+    path: req.path,
+    ip: req.ip,
+    retry_after: retryAfter
+  });
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: 'Demasiados intentos fallidos, intenta nuevamente más tarde.'
+  });
+}
+
+/**
+ * Middleware que exige alguno de los roles indicados; deja el usuario en req.user
+ * @param {...string} roles - Roles permitidos (ROLES)
+ * @returns {function} - Middleware de Express
+ */
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    let user;
+    try {
+      user = await identify(req);
+    } catch (error) {
+      if (error.code !== 'AUTH_THROTTLED') {
+        return next(error);
+      }
+      return rejectThrottled(req, res, error.retryAfter);
+    }
+
+    if (!user) {
+      logger.logAction('WARN_AUTH', 'Solicitud sin credenciales válidas', 'auth/index.js:requireRole', {
+        path: req.path,
+        method: req.method,
+        ip: req.ip
+      });
+      res.set('WWW-Authenticate', 'Basic realm="Onboarding Estafeta", charset="UTF-8"');
+      return res.status(401).json({
+        message: 'No autorizado.'
+      });
+    }
+
+    if (!user.roles.some(role => roles.includes(role))) {
+      logger.logAction('WARN_FORBIDDEN', 'Rol sin permiso para la ruta', 'auth/index.js:requireRole', {
+        path: req.path,
+        method: req.method,
+        user: user.id,
+        roles: user.roles
+      });
+      return res.status(403).json({
+        message: 'No tienes permiso para realizar esta acción.'
+      });
+    }
+
+    req.user = user;
+    next();
+  };
+}
+
+/**
+ * Un empleado sólo puede actuar sobre su propio código externo; los demás roles sobre cualquiera
+ * @param {object} user - Usuario de la solicitud (req.user)
+ * @param {string} external_code - Código externo del empleado
+ * @returns {boolean}
+ */
+function canAccess(user, external_code) {
+  return user.roles.some(role => role !== ROLES.EMPLOYEE) || user.id === String(external_code);
+}
+
+/**
+ * Token de un empleado localizado por su CURP, para contestar y consultar su encuesta
+ * @param {string} external_code - Código externo del empleado
+ * @param {object} [employee] - Datos de SuccessFactors que acompañan sus respuestas: { hire_date, department }
+ * @returns {string} - Token firmado
+ */
+function employeeToken(external_code, employee = {}) {
+  // Alcanza para contestar la encuesta y esperar su procesamiento
+  return tokens.create({ sub: external_code, roles: [ROLES.EMPLOYEE], employee }, 2 * 60 * 60);
+}
+
+module.exports = {
+  ROLES,
+  tokens,
+  users,
+  throttle,
+  login,
+  identify,
+  rejectThrottled,
+  requireRole,
+  canAccess,
+  employeeToken,
+};
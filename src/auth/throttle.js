@@ -0,0 +1,81 @@
+const config = require('../config');
+
+// Intentos fallidos por IP y usuario: { count, until }
+const failures = new Map();
+
+// Al superar este número de entradas se eliminan las vencidas
+const PRUNE_SIZE = 1000;
+
+function keyOf(ip, username) {
+  return String(ip) + '|' + String(username);
+}
+
+function prune(now) {
+  failures.forEach((entry, key) => {
+    if (entry.until <= now) {
+      failures.delete(key);
+    }
+  });
+}
+
+/**
+ * Segundos que faltan para volver a intentar, si la combinación IP y usuario agotó sus intentos.
+ * Se consulta antes de verificar la contraseña para no gastar scrypt en un ataque de fuerza bruta.
+ * @param {string} ip - IP de la solicitud
+ * @param {string} username - Usuario
+ * @returns {number} - 0 si puede intentar
+ */
+function retryAfter(ip, username) {
+  const entry = failures.get(keyOf(ip, username));
+  if (!entry) {
+    return 0;
+  }
+  const now = Date.now();
+  if (entry.until <= now) {
+    failures.delete(keyOf(ip, username));
+    return 0;
+  }
+  return entry.count >= config.auth.maxFailures ? Math.ceil((entry.until - now) / 1000) : 0;
+}
+
+/**
+ * Registrar un intento fallido; la ventana empieza con el primero
+ * @param {string} ip - IP de la solicitud
+ * @param {string} username - Usuario
+ */
+function fail(ip, username) {
+  const now = Date.now();
+  if (failures.size > PRUNE_SIZE) {
+    prune(now);
+  }
+  const key = keyOf(ip, username);
+  const entry = failures.get(key);
+  if (entry && entry.until > now) {
+    entry.count++;
+    return;
+  }
+  failures.set(key, { count: 1, until: now + config.auth.failureWindow * 1000 });
+}
+
+/**
+ * Olvidar los intentos fallidos tras un inicio de sesión correcto
+ * @param {string} ip - IP de la solicitud
+ * @param {string} username - Usuario
+ */
+function reset(ip, username) {
+  failures.delete(keyOf(ip, username));
+}
+
+/**
+ * Olvidar todos los intentos (pruebas)
+ */
+function clear() {
+  failures.clear();
+}
+
+module.exports = {
+  retryAfter,
+  fail,
+  reset,
+  clear,
+};
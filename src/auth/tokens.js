@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+function secret() {
+  const value = config.auth.tokenSecret;
+  if (!value) {
+    throw new config.ConfigError('Falta la clave para firmar tokens en env AUTH_TOKEN_SECRET', { requiredVar: 'AUTH_TOKEN_SECRET' });
+  }
+  return value;
+}
+
+function signature(body) {
+  return crypto.createHmac('sha256', secret()).update(body).digest('base64url');
+}
+
+/**
+ * Crear un token firmado (HMAC-SHA256): <payload en base64url>.<firma>
+ * @param {object} claims - { sub: identificador del usuario, roles: [...] } y datos adicionales firmados
+ * @param {number} [ttl] - Vigencia en segundos (AUTH_TOKEN_TTL, 8 horas por omisión)
+ * @returns {string} - Token
+ */
+function create(claims, ttl = config.auth.tokenTtl) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = Buffer.from(JSON.stringify(Object.assign({}, claims, {
+    sub: String(claims.sub),
+    iat: now,
+    exp: now + ttl
+  }))).toString('base64url');
+  return body + '.' + signature(body);
+}
+
+/**
+ * Validar la firma y la vigencia de un token
+ * @param {string} token - Token recibido
+ * @returns {object|null} - Contenido del token, o null si es inválido o ya venció
+ */
+function verify(token) {
+  const [body, signed, extra] = String(token || '').split('.');
+  if (!body || !signed || extra !== undefined) {
+    return null;
+  }
+
+  const expected = Buffer.from(signature(body));
+  const received = Buffer.from(signed);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!Array.isArray(claims.roles) || !(claims.exp > Date.now() / 1000)) {
+    return null;
+  }
+  return claims;
+}
+
+module.exports = {
+  create,
+  verify,
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('../config');
+
+// Usuarios locales: [{ "username": "...", "password": "scrypt$<sal>$<hash>", "roles": ["hr"] }]
+const USERS_FILE = config.auth.usersFile;
+
+const KEY_LENGTH = 64;
+
+// scrypt es costoso a propósito: en las solicitudes se usa la versión asíncrona para no bloquear el event loop
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Hash de una contraseña para guardarla en el archivo de usuarios
+ * @param {string} password - Contraseña en claro
+ * @returns {string} - scrypt$<sal>$<hash> (hexadecimal)
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const received = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Usuarios del archivo AUTH_USERS_FILE; se lee en cada consulta para tomar los cambios sin reiniciar
+ * @returns {Array<object>} - Usuarios, o lista vacía si el archivo no existe
+ */
+function list() {
+  if (!fs.existsSync(USERS_FILE)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+}
+
+/**
+ * Validar usuario y contraseña
+ * @param {string} username - Nombre de usuario
+ * @param {string} password - Contraseña en claro
+ * @returns {Promise<object|null>} - { id, roles }, o null si las credenciales no son válidas
+ */
+async function authenticate(username, password) {
+  const user = list().find(u => u.username === username);
+  if (!user || !(await verifyPassword(password, user.password))) {
+    return null;
+  }
+  return { id: user.username, roles: user.roles || [] };
+}
+
+module.exports = {
+  USERS_FILE,
+  hashPassword,
+  list,
+  authenticate,
+};
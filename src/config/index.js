@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const dotenv = require('dotenv');
+const SCHEMA = require('./schema');
+const PROFILES = require('./profiles');
+
+// .env se carga una sola vez, antes de leer la configuración; las variables ya definidas tienen prioridad
+dotenv.config();
+
+// Perfil cuando no se define NODE_ENV
+const DEFAULT_ENV = 'development';
+
+// Idiomas con catálogo en src/i18n (se leen del directorio para no depender del módulo de traducciones)
+const LOCALES = fs.readdirSync(path.join(__dirname, '../i18n'))
+  .filter(name => name.endsWith('.json'))
+  .map(name => path.basename(name, '.json'));
+
+/**
+ * Error de configuración: falta una variable obligatoria o tiene un valor inválido
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string} message - Descripción del problema
+   * @param {object} [details] - { requiredVar: primera variable con problema, problems: [mensaje] }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ConfigError';
+    this.requiredVar = details.requiredVar || null;
+    this.problems = details.problems || [message];
+  }
+}
+
+function present(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+/**
+ * Convertir el texto de una variable a su tipo
+ * @returns {object} - { value } o { error } / { warning } con el mensaje
+ */
+function parse(entry, raw) {
+  switch (entry.type) {
+    case 'int':
+      return /^\d+$/.test(raw) && parseInt(raw, 10) > 0 ? { value: parseInt(raw, 10) } : { error: 'se esperaba un entero positivo' };
+    case 'url': {
+      let url;
+      try {
+        url = new URL(raw);
+      } catch (error) {
+        return { error: 'no es una URL válida' };
+      }
+      return ['http:', 'https:'].includes(url.protocol) ? { value: raw } : { error: 'se esperaba una URL http(s)' };
+    }
+    case 'enum':
+      return entry.values.includes(raw) ? { value: raw } : { error: `valor desconocido "${raw}" (use ${entry.values.join(', ')})` };
+    case 'locale':
+      return LOCALES.includes(raw.toLowerCase().split(/[-_]/)[0])
+        ? { value: raw }
+        : { value: null, warning: `idioma "${raw}" no soportado, se usará el idioma por omisión` };
+    default:
+      return { value: raw };
+  }
+}
+
+/**
+ * Leer y validar la configuración a partir de variables de entorno
+ * @param {object} [env] - Variables (process.env, o el contenido de un .env leído con dotenv.parse)
+ * @returns {object} - { env: perfil, config, errors: [mensaje], warnings: [mensaje] }
+ */
+function load(env = process.env) {
+  const errors = [];
+  const warnings = [];
+  const name = present(env.NODE_ENV) ? env.NODE_ENV : DEFAULT_ENV;
+
+  if (!PROFILES[name]) {
+    warnings.push(`NODE_ENV: perfil desconocido "${name}", se usan los valores por omisión de production`);
+  }
+  const defaults = PROFILES[name] || PROFILES.production;
+  const config = { env: name };
+
+  SCHEMA.forEach(entry => {
+    const raw = present(env[entry.name]) ? env[entry.name] : defaults[entry.name];
+    if (!present(raw)) {
+      _.set(config, entry.key, entry.default === undefined ? null : entry.default);
+      return;
+    }
+
+    const parsed = parse(entry, String(raw).trim());
+    const problem = parsed.error || (entry.check && parsed.value !== undefined ? entry.check(parsed.value) : null);
+    if (problem) {
+      errors.push(`${entry.name}: ${problem}`);
+    }
+    if (parsed.warning) {
+      warnings.push(`${entry.name}: ${parsed.warning}`);
+    }
+    _.set(config, entry.key, problem ? null : parsed.value);
+  });
+
+  // Las obligatorias se revisan al final: algunas dependen del proveedor elegido
+  SCHEMA
+    .filter(entry => (typeof entry.required === 'function' ? entry.required(config) : entry.required))
+    .filter(entry => _.get(config, entry.key) === null && !errors.some(message => message.startsWith(entry.name + ':')))
+    .forEach(entry => errors.push(`${entry.name}: falta el valor`));
+
+  const recipients = Object.values(config.email.recipients).filter(recipient => recipient.address);
+  if (config.email.user && !config.email.password) {
+    warnings.push('EMAIL_PASSWORD: falta la contraseña del remitente, los correos fallarán');
+  }
+  if (config.email.user && recipients.length === 0) {
+    warnings.push('EMAIL_USER: no hay destinatarios (ADMIN_EMAIL, ING_EMAIL, TEC_EMAIL), no se enviarán correos');
+  }
+  if (present(env.CHROMIUM_PATH) && !fs.existsSync(config.pdf.chromiumPath)) {
+    warnings.push(`CHROMIUM_PATH: no existe ${config.pdf.chromiumPath} en este equipo`);
+  }
+
+  return { env: name, config, errors, warnings };
+}
+
+const current = load();
+
+/**
+ * Fallar de inmediato si la configuración tiene errores
+ * @param {object} [loaded] - Resultado de load (por omisión, la configuración de este proceso)
+ * @returns {Array<string>} - Advertencias que no impiden arrancar
+ * @throws {ConfigError} - Con la lista completa de problemas en el mensaje
+ */
+function validate(loaded = current) {
+  if (loaded.errors.length > 0) {
+    throw new ConfigError(
+      `Configuración inválida (perfil ${loaded.env}):\n` + loaded.errors.map(message => '  - ' + message).join('\n'),
+      { requiredVar: loaded.errors[0].split(':')[0], problems: loaded.errors }
+    );
+  }
+  return loaded.warnings;
+}
+
+/**
+ * Configuración de la aplicación, leída una vez al cargar el módulo:
+ * config.successfactors.url, config.queue.pollInterval, config.auth.tokenSecret, ...
+ */
+module.exports = Object.assign(current.config, {
+  ConfigError,
+  load,
+  validate,
+});
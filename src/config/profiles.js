@@ -0,0 +1,23 @@
+/**
+ * Valores por omisión de cada entorno (NODE_ENV). Sólo cambian los defaults de src/config/schema.js:
+ * lo que venga en las variables de entorno o en .env siempre tiene prioridad.
+ */
+module.exports = {
+  // Desarrollo local contra el SuccessFactors simulado (npm run mock:sf)
+  development: {
+    API_SUCCESSF_URL: 'http://localhost:4010/odata/v2/',
+    API_SUCCESSF_USER: 'mock',
+    API_SUCCESSF_PASSWORD: 'mock'
+  },
+
+  // Pruebas: proveedores de análisis y perfil sin red, sin correos y con un worker que no sondea solo
+  test: {
+    ANALYSIS_PROVIDER: 'fixture',
+    PROFILE_PROVIDER: 'fixture',
+    EMAIL_USER: '',
+    QUEUE_POLL_INTERVAL: String(60 * 60 * 1000)
+  },
+
+  // Producción: todos los servicios externos deben configurarse explícitamente
+  production: {}
+};
@@ -0,0 +1,82 @@
+const path = require('path');
+
+const ROOT = path.join(__dirname, '../..');
+
+/**
+ * Variables de entorno de la aplicación. Cada una indica:
+ * - name: variable de entorno
+ * - key: ruta en el objeto de configuración (p. ej. 'queue.pollInterval')
+ * - type: string, url, int (entero positivo), enum (con values) o locale
+ * - default: valor si la variable está vacía (los perfiles de src/config/profiles.js pueden cambiarlo)
+ * - required: obligatoria; una función recibe la configuración ya leída (p. ej. según el proveedor)
+ * - secret: no se muestra en los reportes
+ * - check: validación adicional; devuelve el mensaje de error o null
+ */
+module.exports = [
+  { name: 'PORT', key: 'port', type: 'int', default: 8080 },
+
+  // SuccessFactors: búsqueda de CURP, adjuntos y respuestas
+  {
+    name: 'API_SUCCESSF_URL', key: 'successfactors.url', type: 'url', required: true,
+    // Las consultas se arman concatenando la entidad a la URL base (…/odata/v2/PerPerson)
+    check: value => (value.endsWith('/') ? null : 'debe terminar en "/"')
+  },
+  { name: 'API_SUCCESSF_USER', key: 'successfactors.user', type: 'string', required: true },
+  { name: 'API_SUCCESSF_PASSWORD', key: 'successfactors.password', type: 'string', required: true, secret: true },
+
+  // API de Onboarding (servicio anterior, sólo api_onb.js)
+  { name: 'API_ONB_URL', key: 'onb.url', type: 'url' },
+  { name: 'API_ONB_USER', key: 'onb.user', type: 'string' },
+  { name: 'API_ONB_PASSWORD', key: 'onb.password', type: 'string', secret: true },
+
+  // Análisis de texto
+  { name: 'ANALYSIS_PROVIDER', key: 'analysis.provider', type: 'enum', values: ['ibm_nlu', 'lexicon', 'fixture'], default: 'ibm_nlu' },
+  { name: 'ANALYSIS_FIXTURE', key: 'analysis.fixture', type: 'string' },
+  { name: 'API_PI_URL', key: 'analysis.nlu.url', type: 'url', required: config => config.analysis.provider === 'ibm_nlu' },
+  { name: 'API_PI_USER', key: 'analysis.nlu.user', type: 'string', required: config => config.analysis.provider === 'ibm_nlu' },
+  { name: 'API_PI_PASS', key: 'analysis.nlu.password', type: 'string', required: config => config.analysis.provider === 'ibm_nlu', secret: true },
+  { name: 'API_PI_VERSION', key: 'analysis.nlu.version', type: 'string', default: '2021-08-01' },
+  { name: 'PERSONALITY_INSIGHTS_IAM_APIKEY', key: 'analysis.nlu.iamApiKey', type: 'string', secret: true },
+
+  // Perfil de personalidad
+  { name: 'PROFILE_PROVIDER', key: 'profile.provider', type: 'enum', values: ['none', 'local', 'fixture', 'personality_insights'], default: 'none' },
+  { name: 'PROFILE_FIXTURE', key: 'profile.fixture', type: 'string' },
+  { name: 'PROFILE_API_URL', key: 'profile.url', type: 'url', required: config => config.profile.provider === 'personality_insights' },
+  { name: 'PROFILE_API_KEY', key: 'profile.key', type: 'string', required: config => config.profile.provider === 'personality_insights', secret: true },
+  { name: 'PROFILE_API_VERSION', key: 'profile.version', type: 'string', default: '2017-10-13' },
+
+  // Cola de encuestas y almacenamiento
+  { name: 'QUEUE_DIR', key: 'queue.dir', type: 'string', default: path.join(ROOT, 'storage/submissions') },
+  { name: 'QUEUE_POLL_INTERVAL', key: 'queue.pollInterval', type: 'int', default: 5000 },
+  { name: 'QUEUE_MAX_ATTEMPTS', key: 'queue.maxAttempts', type: 'int', default: 6 },
+  { name: 'QUEUE_RETRY_BASE_DELAY', key: 'queue.retryBaseDelay', type: 'int', default: 30000 },
+  { name: 'QUEUE_PROCESSING_TIMEOUT', key: 'queue.processingTimeout', type: 'int', default: 10 * 60 * 1000 },
+  { name: 'RESPONSES_DIR', key: 'responsesDir', type: 'string', default: path.join(ROOT, 'storage/responses') },
+  { name: 'SURVEYS_DIR', key: 'surveysDir', type: 'string', default: path.join(ROOT, 'src/surveys') },
+
+  // Generación de PDF
+  { name: 'CHROMIUM_PATH', key: 'pdf.chromiumPath', type: 'string', default: '/usr/bin/chromium' },
+  { name: 'PDF_POOL_SIZE', key: 'pdf.poolSize', type: 'int', default: 2 },
+  { name: 'PDF_QUEUE_LIMIT', key: 'pdf.queueLimit', type: 'int', default: 50 },
+  { name: 'PDF_RENDER_TIMEOUT', key: 'pdf.renderTimeout', type: 'int', default: 30000 },
+  { name: 'REPORT_LOCALE', key: 'reportLocale', type: 'locale' },
+
+  // Autenticación
+  { name: 'AUTH_TOKEN_SECRET', key: 'auth.tokenSecret', type: 'string', required: true, secret: true },
+  { name: 'AUTH_TOKEN_TTL', key: 'auth.tokenTtl', type: 'int', default: 8 * 60 * 60 },
+  { name: 'AUTH_MAX_FAILURES', key: 'auth.maxFailures', type: 'int', default: 5 },
+  { name: 'AUTH_FAILURE_WINDOW', key: 'auth.failureWindow', type: 'int', default: 15 * 60 },
+  { name: 'AUTH_USERS_FILE', key: 'auth.usersFile', type: 'string', default: path.join(ROOT, 'storage/users.json') },
+
+  // Log y correos
+  { name: 'LOG_FILE', key: 'log.file', type: 'string', default: path.join(ROOT, 'logs/application.log') },
+  { name: 'EMAIL_USER', key: 'email.user', type: 'string' },
+  { name: 'EMAIL_PASSWORD', key: 'email.password', type: 'string', secret: true },
+  { name: 'EMAIL_LOCALE', key: 'email.locale', type: 'locale' },
+  { name: 'ADMIN_EMAIL', key: 'email.recipients.admin.address', type: 'string' },
+  { name: 'ADMIN_EMAIL_LOCALE', key: 'email.recipients.admin.locale', type: 'locale' },
+  { name: 'ING_EMAIL', key: 'email.recipients.ing.address', type: 'string' },
+  { name: 'ING_EMAIL_LOCALE', key: 'email.recipients.ing.locale', type: 'locale' },
+  { name: 'TEC_EMAIL', key: 'email.recipients.tec.address', type: 'string' },
+  { name: 'TEC_EMAIL_LOCALE', key: 'email.recipients.tec.locale', type: 'locale' }
+];
@@ -0,0 +1,116 @@
+const _ = require('lodash');
+const i18n = require('../i18n');
+
+// Umbral del puntaje promedio (-1 a 1) para considerar el tono positivo o negativo
+const TONE_THRESHOLD = 0.25;
+// Temas a mencionar en cada frase
+const MAX_TOPICS = 3;
+
+const EMOTIONS = ['sadness', 'joy', 'fear', 'disgust', 'anger'];
+
+// "a", "a y b", "a, b y c"
+function joinList(items, and) {
+  const quoted = items.map(item => `"${item}"`);
+  if (quoted.length < 2) {
+    return quoted.join('');
+  }
+  return `${quoted.slice(0, -1).join(', ')} ${and} ${quoted[quoted.length - 1]}`;
+}
+
+/**
+ * Hechos principales del análisis: tono general, emoción dominante y temas más negativos/positivos.
+ * Entidades y palabras clave se combinan (sin repetir texto) y se ponderan por su relevancia.
+ * El tono y la emoción salen del documento cuando el análisis los incluye; sin ellos ni temas, tone es null.
+ * @param {object} analysisResult - Objeto devuelto por un proveedor de src/services/analysis
+ * @returns {object} - { tone, score, dominantEmotion, negativeTopics, positiveTopics }
+ */
+function describe(analysisResult) {
+  const topics = _.uniqBy([...(analysisResult.entities || []), ...(analysisResult.keywords || [])], v => v.text.toLowerCase())
+    .filter(v => v.sentiment);
+
+  // Se prefieren las puntuaciones del documento completo; si el proveedor no las da, se promedian los temas.
+  // Un comentario corto puede no tener temas y aun así tener un tono claro
+  const document = analysisResult.document || {};
+  if (topics.length === 0 && !document.sentiment) {
+    return { tone: null, score: null, dominantEmotion: null, negativeTopics: [], positiveTopics: [] };
+  }
+
+  const weight = v => (typeof v.relevance === 'number' && v.relevance > 0 ? v.relevance : 1);
+  const score = document.sentiment
+    ? document.sentiment.score
+    : _.sumBy(topics, v => v.sentiment.score * weight(v)) / _.sumBy(topics, weight);
+
+  let tone = 'neutral';
+  if (score >= TONE_THRESHOLD) {
+    tone = 'positive';
+  } else if (score <= -TONE_THRESHOLD) {
+    tone = 'negative';
+  }
+
+  let dominantEmotion = null;
+  const withEmotion = topics.filter(v => v.emotion);
+  if (document.emotion) {
+    dominantEmotion = _.maxBy(EMOTIONS.map(emotion => ({ emotion, score: document.emotion[emotion] })), 'score');
+  } else if (withEmotion.length > 0) {
+    const emotionWeight = _.sumBy(withEmotion, weight);
+    const averages = EMOTIONS.map(emotion => ({
+      emotion,
+      score: _.sumBy(withEmotion, v => (v.emotion[emotion] || 0) * weight(v)) / emotionWeight
+    }));
+    dominantEmotion = _.maxBy(averages, 'score');
+  }
+
+  return {
+    tone,
+    score: Math.round(score * 100) / 100,
+    dominantEmotion,
+    negativeTopics: _.sortBy(topics.filter(v => v.sentiment.label === 'negative'), v => v.sentiment.score)
+      .slice(0, MAX_TOPICS)
+      .map(v => v.text),
+    positiveTopics: _.sortBy(topics.filter(v => v.sentiment.label === 'positive'), v => -v.sentiment.score)
+      .slice(0, MAX_TOPICS)
+      .map(v => v.text)
+  };
+}
+
+/**
+ * Resumen narrativo del análisis de sentimiento y emociones (equivalente a personality-text-summary)
+ * @param {object} analysisResult - Objeto devuelto por un proveedor de src/services/analysis
+ * @param {string} [locale] - Idioma del resumen (frases en src/i18n, grupo "summary")
+ * @returns {Array<string>} - Frases del resumen, en orden
+ */
+function getSummary(analysisResult, locale) {
+  const t = i18n.translator(locale);
+  const facts = describe(analysisResult);
+
+  if (!facts.tone) {
+    return [t('summary.empty')];
+  }
+
+  const summary = [t('summary.tone.' + facts.tone)];
+
+  if (facts.dominantEmotion) {
+    summary.push(t('summary.emotion', {
+      emotion: t('summary.emotions.' + facts.dominantEmotion.emotion),
+      percent: Math.round(facts.dominantEmotion.score * 100)
+    }));
+  }
+
+  if (facts.negativeTopics.length > 0) {
+    const key = facts.negativeTopics.length === 1 ? 'summary.negativeTopics.one' : 'summary.negativeTopics.many';
+    summary.push(t(key, { topics: joinList(facts.negativeTopics, t('summary.and')) }));
+  } else {
+    summary.push(t('summary.noNegativeTopics'));
+  }
+
+  if (facts.positiveTopics.length > 0) {
+    summary.push(t('summary.positiveTopics', { topics: joinList(facts.positiveTopics, t('summary.and')) }));
+  }
+
+  return summary;
+}
+
+module.exports = {
+  describe,
+  getSummary,
+};
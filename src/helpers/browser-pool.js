@@ -0,0 +1,218 @@
+const puppeteer = require('puppeteer');
+const logger = require('./logger');
+const config = require('../config');
+
+// Configuración del pool (por entorno)
+const DEFAULTS = {
+  executablePath: config.pdf.chromiumPath,
+  size: config.pdf.poolSize,                 // Páginas abiertas a la vez
+  queueLimit: config.pdf.queueLimit,         // Renders en espera antes de rechazar
+  renderTimeout: config.pdf.renderTimeout    // Tiempo máximo por render (ms)
+};
+
+/**
+ * Crear un pool que comparte un solo proceso de Chromium entre todos los renders.
+ * Limita las páginas simultáneas, encola el resto, corta los renders que exceden el tiempo
+ * y vuelve a lanzar el navegador si se cae.
+ * @param {object} [options] - { size, queueLimit, renderTimeout, executablePath, launch }
+ * @returns {object} - { withPage, close, stats }
+ */
+function createBrowserPool(options = {}) {
+  const config = Object.assign({}, DEFAULTS, options);
+  const launch = config.launch || (() => puppeteer.launch({
+    headless: 'new',
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
+    executablePath: config.executablePath
+  }));
+
+  let instance = null;  // Navegador vigente
+  let launching = null; // Lanzamiento en curso (compartido por los renders que llegan a la vez)
+  let active = 0;       // Páginas en uso
+  let closed = false;
+  let generation = 0;   // Aumenta al descartar el navegador; un lanzamiento de una generación anterior se cierra
+  const waiting = [];   // Renders en espera de una página libre
+
+  // Obtener el navegador, lanzándolo si no existe o si se cayó (watchdog)
+  function getBrowser() {
+    if (instance && instance.connected) {
+      return Promise.resolve(instance);
+    }
+    if (!launching) {
+      const launchedIn = generation;
+      launching = Promise.resolve(launch())
+        .then(browser => {
+          // El lanzamiento tardó más que el render que lo pidió y ya se descartó
+          if (launchedIn !== generation) {
+            browser.close().catch(() => {});
+            throw new Error('El navegador para PDF se descartó mientras se iniciaba');
+          }
+          instance = browser;
+          browser.on('disconnected', () => {
+            // Sólo olvidar la instancia si sigue siendo la vigente
+            if (instance !== browser) {
+              return;
+            }
+            instance = null;
+            if (!closed) {
+              logger.logAction('WARN_BROWSER_RESTART', 'El navegador para PDF se desconectó; se relanzará en el siguiente render', 'browser-pool.js:getBrowser', {
+                active
+              });
+            }
+          });
+          logger.logAction('INFO_BROWSER_LAUNCH', 'Navegador para PDF iniciado', 'browser-pool.js:getBrowser', {
+            pool_size: config.size
+          });
+          return browser;
+        })
+        .finally(() => {
+          if (launchedIn === generation) {
+            launching = null;
+          }
+        });
+    }
+    return launching;
+  }
+
+  // Descartar el navegador (o su lanzamiento en curso) que no respondió a tiempo; el siguiente render lanza otro
+  function discardBrowser() {
+    generation++;
+    const browser = instance;
+    instance = null;
+    launching = null;
+    if (browser) {
+      browser.close().catch(() => {});
+    }
+  }
+
+  // Esperar un lugar libre en el pool
+  function acquire() {
+    if (active < config.size) {
+      active++;
+      return Promise.resolve();
+    }
+    if (waiting.length >= config.queueLimit) {
+      const error = new Error('Demasiados PDF en espera de generarse');
+      error.code = 'PDF_QUEUE_FULL';
+      return Promise.reject(error);
+    }
+    return new Promise(resolve => waiting.push(resolve));
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  }
+
+  /**
+   * Ejecutar un render con una página del navegador compartido
+   * @param {function} render - async (page) => resultado
+   * @returns {Promise<*>} - Resultado del render
+   * @throws {Error} - code PDF_RENDER_TIMEOUT si obtener la página y renderizar excede renderTimeout,
+   *   PDF_QUEUE_FULL si la cola está llena
+   */
+  async function withPage(render) {
+    if (closed) {
+      throw new Error('El pool de navegador está cerrado');
+    }
+
+    await acquire();
+    let page = null;
+    let timer = null;
+    let timedOut = false;
+
+    // El tiempo máximo cubre lanzar el navegador y abrir la página, no sólo el render:
+    // un Chromium que no responde no debe retener el lugar en el pool
+    const run = async () => {
+      // El pool pudo cerrarse mientras el render esperaba su turno
+      if (closed) {
+        throw new Error('El pool de navegador está cerrado');
+      }
+      const browser = await getBrowser();
+      const opened = await browser.newPage();
+      if (timedOut) {
+        opened.close().catch(() => {});
+        return null;
+      }
+      page = opened;
+      return render(page);
+    };
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        timedOut = true;
+        const error = new Error(`El render excedió ${config.renderTimeout} ms`);
+        error.code = 'PDF_RENDER_TIMEOUT';
+        logger.logAction('WARN_PDF_TIMEOUT', 'Render de PDF cancelado por tiempo de espera', 'browser-pool.js:withPage', {
+          timeout: config.renderTimeout,
+          page_opened: !!page
+        });
+        discardBrowser();
+        reject(error);
+      }, config.renderTimeout);
+    });
+
+    // Si se vence el tiempo, el render sigue rechazándose al cerrar el navegador; se descarta ese error
+    const running = run();
+    running.catch(() => {});
+    try {
+      return await Promise.race([running, timeout]);
+    } finally {
+      clearTimeout(timer);
+      if (page) {
+        // Cerrar la página nunca debe impedir liberar el lugar en el pool; tras un tiempo vencido no se espera
+        const closing = page.close().catch(() => {});
+        if (!timedOut) {
+          await closing;
+        }
+      }
+      release();
+    }
+  }
+
+  /**
+   * Cerrar el navegador (apagado de la aplicación)
+   */
+  async function close() {
+    closed = true;
+    // Los renders en espera continúan y fallan al ver el pool cerrado
+    waiting.splice(0).forEach(resolve => {
+      active++;
+      resolve();
+    });
+    const browser = instance || (launching && await launching.catch(() => null));
+    instance = null;
+    if (browser) {
+      await browser.close().catch(() => {});
+    }
+  }
+
+  function stats() {
+    return { active, waiting: waiting.length, size: config.size, connected: !!(instance && instance.connected) };
+  }
+
+  return {
+    withPage,
+    close,
+    stats,
+  };
+}
+
+// Pool compartido por getPDF y cualquier otro render de la aplicación
+let shared = null;
+
+function getSharedPool() {
+  if (!shared) {
+    shared = createBrowserPool();
+  }
+  return shared;
+}
+
+module.exports = {
+  createBrowserPool,
+  withPage: render => getSharedPool().withPage(render),
+  close: () => (shared ? shared.close() : Promise.resolve()),
+};
@@ -0,0 +1,181 @@
+const _ = require('lodash');
+const THEME = require('./theme');
+const i18n = require('../i18n');
+
+const EMOTIONS = ['sadness', 'joy', 'fear', 'disgust', 'anger'];
+
+// Los textos vienen del análisis (palabras del empleado): siempre se escapan
+function escape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function svg(width, height, title, body) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" font-family="${THEME.font}" fill="${THEME.text}">`
+    + `<title>${escape(title)}</title>${body}</svg>`;
+}
+
+/**
+ * Gráfica de radar con las cinco emociones de un tema
+ * @param {object} emotion - { sadness, joy, fear, disgust, anger } entre 0 y 1
+ * @param {object} [options] - { title, size, locale }
+ * @returns {string} - SVG
+ */
+function radar(emotion, options = {}) {
+  const size = options.size || 220;
+  const labels = i18n.translate(options.locale, 'emotions');
+  const center = size / 2;
+  const radius = size / 2 - 55; // Margen para las etiquetas de los ejes
+
+  const point = (index, value) => {
+    const angle = -Math.PI / 2 + index * 2 * Math.PI / EMOTIONS.length;
+    return [round(center + radius * value * Math.cos(angle)), round(center + radius * value * Math.sin(angle))];
+  };
+  const polygon = value => EMOTIONS.map((e, i) => point(i, typeof value === 'number' ? value : value[e]).join(',')).join(' ');
+
+  let body = [0.25, 0.5, 0.75, 1]
+    .map(ring => `<polygon points="${polygon(ring)}" fill="none" stroke="${THEME.grid}"/>`)
+    .join('');
+
+  EMOTIONS.forEach((e, i) => {
+    const [x, y] = point(i, 1);
+    const [lx, ly] = point(i, 1.22);
+    const anchor = Math.abs(lx - center) < 1 ? 'middle' : (lx < center ? 'end' : 'start');
+    body += `<line x1="${center}" y1="${center}" x2="${x}" y2="${y}" stroke="${THEME.grid}"/>`;
+    body += `<text x="${lx}" y="${round(ly + 4)}" font-size="11" text-anchor="${anchor}">${escape(labels[e])}</text>`;
+  });
+
+  const values = _.mapValues(_.zipObject(EMOTIONS), (v, e) => _.clamp(Number(emotion[e]) || 0, 0, 1));
+  const dominant = _.maxBy(EMOTIONS, e => values[e]);
+  body += `<polygon points="${polygon(values)}" fill="${THEME.emotions[dominant]}" fill-opacity="0.35" stroke="${THEME.emotions[dominant]}" stroke-width="2"/>`;
+
+  return svg(size, size, options.title || 'Emociones', body);
+}
+
+/**
+ * Barras apiladas al 100% con la proporción de cada emoción, una barra por fila
+ * @param {Array<object>} rows - [{ label, emotion: { sadness, joy, fear, disgust, anger } }]
+ * @param {object} [options] - { title, width, locale }
+ * @returns {string} - SVG
+ */
+function stackedBars(rows, options = {}) {
+  const width = options.width || 600;
+  const labels = i18n.translate(options.locale, 'emotions');
+  const labelWidth = 150;
+  const barWidth = width - labelWidth - 10;
+  const rowHeight = 28;
+  const legendY = rows.length * rowHeight + 20;
+
+  let body = '';
+  rows.forEach((row, index) => {
+    const y = index * rowHeight + 5;
+    const total = _.sumBy(EMOTIONS, e => Number(row.emotion[e]) || 0) || 1;
+    let x = labelWidth;
+    body += `<text x="${labelWidth - 8}" y="${y + 15}" font-size="12" text-anchor="end">${escape(row.label)}</text>`;
+    EMOTIONS.forEach(e => {
+      const share = (Number(row.emotion[e]) || 0) / total;
+      const w = round(share * barWidth);
+      if (w > 0) {
+        body += `<rect x="${round(x)}" y="${y}" width="${w}" height="20" fill="${THEME.emotions[e]}"><title>${escape(labels[e])}: ${Math.round(share * 100)}%</title></rect>`;
+        if (share >= 0.08) {
+          body += `<text x="${round(x + w / 2)}" y="${y + 14}" font-size="10" text-anchor="middle" fill="#fff">${Math.round(share * 100)}%</text>`;
+        }
+      }
+      x += w;
+    });
+  });
+
+  // Leyenda
+  const step = barWidth / EMOTIONS.length;
+  EMOTIONS.forEach((e, i) => {
+    const x = round(labelWidth + i * step);
+    body += `<rect x="${x}" y="${legendY}" width="12" height="12" fill="${THEME.emotions[e]}"/>`;
+    body += `<text x="${x + 16}" y="${legendY + 10}" font-size="11">${escape(labels[e])}</text>`;
+  });
+
+  return svg(width, legendY + 20, options.title || 'Emociones', body);
+}
+
+/**
+ * Barras divergentes de sentimiento: negativas hacia la izquierda y positivas hacia la derecha
+ * @param {Array<object>} items - [{ label, score }] con score entre -1 y 1
+ * @param {object} [options] - { title, width }
+ * @returns {string} - SVG
+ */
+function divergingBars(items, options = {}) {
+  const width = options.width || 600;
+  const labelWidth = 180;
+  const half = (width - labelWidth - 50) / 2;
+  const axis = labelWidth + half;
+  const rowHeight = 24;
+  const height = Math.max(items.length, 1) * rowHeight + 10;
+
+  let body = `<line x1="${axis}" y1="0" x2="${axis}" y2="${height}" stroke="${THEME.text}"/>`;
+  items.forEach((item, index) => {
+    const y = index * rowHeight + 5;
+    const score = _.clamp(Number(item.score) || 0, -1, 1);
+    const w = round(Math.abs(score) * half);
+    const color = score > 0 ? THEME.positive : (score < 0 ? THEME.negative : THEME.neutral);
+    const x = score < 0 ? round(axis - w) : axis;
+
+    body += `<text x="${labelWidth - 8}" y="${y + 13}" font-size="12" text-anchor="end">${escape(item.label)}</text>`;
+    body += `<rect x="${x}" y="${y}" width="${Math.max(w, 1)}" height="16" fill="${color}"/>`;
+    body += `<text x="${score < 0 ? round(x - 4) : round(axis + w + 4)}" y="${y + 13}" font-size="11" text-anchor="${score < 0 ? 'end' : 'start'}">${score.toFixed(2)}</text>`;
+  });
+
+  return svg(width, height, options.title || 'Sentimiento', body);
+}
+
+/**
+ * Gráficas disponibles a partir de un análisis normalizado (src/services/analysis), para
+ * incrustarlas en el PDF o servirlas como imagen
+ */
+const FROM_ANALYSIS = {
+  // Sentimiento de entidades y palabras clave
+  sentiment: (analysis, params, t) => divergingBars(
+    [...(analysis.entities || []), ...(analysis.keywords || [])].map(v => ({ label: v.text, score: v.sentiment.score })),
+    { title: t('charts.sentimentByTopic') }
+  ),
+  // Emociones del documento completo
+  emotions: (analysis, params, t) => (analysis.document && analysis.document.emotion
+    ? stackedBars([{ label: t('charts.comment'), emotion: analysis.document.emotion }], { title: t('charts.documentEmotions'), locale: t.locale })
+    : null),
+  // Radar de un tema (entidad o palabra clave) por su texto
+  radar: (analysis, params, t) => {
+    const item = [...(analysis.entities || []), ...(analysis.keywords || [])]
+      .find(v => v.emotion && v.text === params.topic);
+    return item ? radar(item.emotion, { title: item.text, locale: t.locale }) : null;
+  }
+};
+
+/**
+ * Renderizar una gráfica por nombre a partir de un análisis
+ * @param {string} name - sentiment, emotions o radar
+ * @param {object} analysis - Análisis normalizado
+ * @param {object} [params] - { locale } y los parámetros de la gráfica (radar: { topic })
+ * @returns {string|null} - SVG, o null si la gráfica no existe o no hay datos para ella
+ */
+function fromAnalysis(name, analysis, params = {}) {
+  if (!_.has(FROM_ANALYSIS, name)) {
+    return null;
+  }
+  return FROM_ANALYSIS[name](analysis, params, i18n.translator(params.locale));
+}
+
+module.exports = {
+  THEME,
+  EMOTIONS,
+  escape,
+  radar,
+  stackedBars,
+  divergingBars,
+  fromAnalysis,
+};
@@ -0,0 +1,132 @@
+const _ = require('lodash');
+const moment = require('moment-timezone');
+const survey = require('./survey');
+const responses = require('./response-store');
+
+// Las semanas se cuentan de lunes a domingo en hora de México, igual que el reporte semanal
+const TIMEZONE = 'America/Mexico_City';
+
+/**
+ * Preguntas cerradas de todas las olas, una por campo de SuccessFactors (la primera ola que lo define)
+ * @param {Array<object>} definitions - Definiciones de encuesta
+ * @returns {object} - { yesNo: [{ field, text }], scales: [{ field, text, options }] }
+ */
+function questionsOf(definitions) {
+  const questions = _.uniqBy(
+    _.flatMap(definitions, definition => definition.questions.map(q => ({ definition, q }))),
+    ({ q }) => q.field
+  );
+
+  return {
+    yesNo: questions
+      .filter(({ q }) => q.type === survey.TYPES.YES_NO)
+      .map(({ q }) => ({ field: q.field, text: q.text })),
+    scales: questions
+      .filter(({ q }) => q.type === survey.TYPES.SCALE)
+      .map(({ definition, q }) => ({ field: q.field, text: q.text, options: survey.optionsFor(definition, q) }))
+  };
+}
+
+// Cohorte de ingreso: mes de la fecha de ingreso (YYYY-MM)
+function cohortOf(record) {
+  return record.hire_date ? record.hire_date.slice(0, 7) : null;
+}
+
+function weekOf(record) {
+  return moment(record.submitted_at).tz(TIMEZONE).startOf('isoWeek').format('YYYY-MM-DD');
+}
+
+function rate(part, total) {
+  return total > 0 ? Math.round(part / total * 1000) / 1000 : null;
+}
+
+function average(values) {
+  return values.length > 0 ? Math.round(_.mean(values) * 100) / 100 : null;
+}
+
+/**
+ * Filtrar registros por área, cohorte de ingreso y ola
+ * @param {Array<object>} records - Registros de response-store
+ * @param {object} filters - { department, cohort, survey } (los vacíos no filtran)
+ * @returns {Array<object>}
+ */
+function applyFilters(records, filters) {
+  return records.filter(record =>
+    (!filters.department || record.department === filters.department) &&
+    (!filters.cohort || cohortOf(record) === filters.cohort) &&
+    (!filters.survey || record.survey === filters.survey));
+}
+
+/**
+ * Indicadores del tablero sobre un conjunto de respuestas
+ * @param {Array<object>} records - Registros de response-store
+ * @param {Array<object>} definitions - Definiciones de encuesta
+ * @returns {object} - { total, yes_no, scales, weekly }
+ */
+function summarize(records, definitions) {
+  const questions = questionsOf(definitions);
+  const answered = field => records.filter(r => r.answers[field] !== undefined);
+
+  const yes_no = questions.yesNo.map(({ field, text }) => {
+    const values = answered(field).map(r => r.answers[field]);
+    const yes = values.filter(v => v === true).length;
+    return { field, text, yes, no: values.length - yes, total: values.length, yes_rate: rate(yes, values.length) };
+  });
+
+  const scales = questions.scales.map(({ field, text, options }) => {
+    const values = answered(field).map(r => String(r.answers[field]));
+    return {
+      field,
+      text,
+      total: values.length,
+      average: average(values.map(Number)),
+      distribution: options.map(option => {
+        const count = values.filter(v => v === option.value).length;
+        return { value: option.value, label: option.label, count, share: rate(count, values.length) };
+      })
+    };
+  });
+
+  const weekly = _.sortBy(Object.entries(_.groupBy(records, weekOf)), ([week]) => week)
+    .map(([week, group]) => {
+      const yesNo = _.flatMap(group, r => questions.yesNo.map(q => r.answers[q.field]).filter(v => v !== undefined));
+      return {
+        week,
+        total: group.length,
+        yes_rate: rate(yesNo.filter(v => v === true).length, yesNo.length),
+        averages: _.fromPairs(questions.scales.map(({ field }) => [
+          field,
+          average(group.filter(r => r.answers[field] !== undefined).map(r => Number(r.answers[field])))
+        ]))
+      };
+    });
+
+  return { total: records.length, yes_no, scales, weekly };
+}
+
+/**
+ * Tablero de resultados con las respuestas guardadas
+ * @param {object} [filters] - { department, cohort, survey }
+ * @returns {object} - { filters, options: { departments, cohorts, surveys }, total, yes_no, scales, weekly }
+ */
+function build(filters = {}) {
+  const definitions = survey.list();
+  const records = responses.list();
+  const applied = _.pick(_.pickBy(filters, v => typeof v === 'string' && v !== ''), ['department', 'cohort', 'survey']);
+
+  return Object.assign({
+    filters: applied,
+    // Valores disponibles para los filtros, sobre todas las respuestas
+    options: {
+      departments: _.sortBy(_.uniq(records.map(r => r.department).filter(Boolean))),
+      cohorts: _.sortBy(_.uniq(records.map(cohortOf).filter(Boolean))),
+      surveys: definitions.map(d => ({ id: d.id, wave: d.wave.value }))
+    }
+  }, summarize(applyFilters(records, applied), definitions));
+}
+
+module.exports = {
+  applyFilters,
+  summarize,
+  build,
+};
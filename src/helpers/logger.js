@@ -2,33 +2,38 @@ const fs = require('fs');
 const path = require('path');
 const nodemailer = require('nodemailer');
 const moment = require('moment-timezone'); // Cambiado a moment-timezone
+const i18n = require('../i18n');
+const config = require('../config');
 
 // Configuración de correo electrónico
-require('dotenv').config();
-
 const transporter = nodemailer.createTransport({
   host: 'smtp.office365.com',  // Servidor SMTP de Microsoft 365 (Office 365)
   port: 587,                   // Puerto para STARTTLS
   secure: false,               // STARTTLS
   auth: {
-    user: process.env.EMAIL_USER,  
-    pass: process.env.EMAIL_PASSWORD
+    user: config.email.user,
+    pass: config.email.password
   }
 });
 
-// Lista de destinatarios
-const destinatarios = [
-  process.env.ADMIN_EMAIL,
-  process.env.ING_EMAIL,
-  process.env.TEC_EMAIL
-].filter(Boolean); // Elimina valores undefined o vacíos
+// Lista de destinatarios; el idioma de cada uno se toma de <VARIABLE>_LOCALE (p. ej. TEC_EMAIL_LOCALE=en),
+// luego de EMAIL_LOCALE y por último del idioma del reporte
+const destinatarios = Object.values(config.email.recipients)
+  .filter(recipient => recipient.address) // Elimina valores vacíos
+  .map(recipient => ({
+    email: recipient.address,
+    locale: i18n.resolve(recipient.locale || config.email.locale)
+  }));
+
+// Sin remitente o sin destinatarios no se intenta enviar correo (p. ej. en desarrollo y pruebas)
+const EMAIL_ENABLED = !!config.email.user && destinatarios.length > 0;
 
 
-// Ruta del archivo de log
-const LOG_FILE = path.join(__dirname, '../../logs/application.log');
+// Ruta del archivo de log (LOG_FILE permite usar otro archivo, p. ej. en las pruebas)
+const LOG_FILE = config.log.file;
 
 // Asegurar que el directorio de logs existe
-const logsDir = path.join(__dirname, '../../logs');
+const logsDir = path.dirname(LOG_FILE);
 if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
@@ -36,11 +41,11 @@ if (!fs.existsSync(logsDir)) {
 // Registro de la última vez que se envió un reporte semanal
 let lastWeeklyReport = null;
 
-// Lista de códigos de error considerados críticos - SOLO ESTOS generarán correos
+// Lista de códigos de error considerados críticos - SOLO ESTOS generarán correos.
+// Las fallas de cada intento del worker (ERR_005 a ERR_008, ERR_050, ERR_060) no están aquí:
+// se reintentan, y sólo ERR_QUEUE_EXHAUSTED avisa cuando una encuesta ya no se guardará
 const CRITICAL_ERROR_CODES = [
-  'ERR_050',         // Error crítico al crear adjunto
-  'ERR_060',         // Error crítico al guardar respuestas
-  'ERR_008',          // Error de maximo de caracteres perimitido
+  'ERR_QUEUE_EXHAUSTED', // Encuesta descartada tras agotar los reintentos
   'ERR_COMM_FAILURE', // Fallo de comunicación con servicios externos
   'ERR_DB_CONNECTION', // Problemas de conexión a BD
   'ERR_SERVER',      // Problemas del servidor
@@ -51,14 +56,9 @@ const CRITICAL_ERROR_CODES = [
   'ERR_AUTH'         // Errores de autenticación/autorización críticos
 ];
 
-// Lista de códigos de error que indican encuestas fallidas
+// Lista de códigos de error que indican encuestas fallidas: una por envío, al agotar sus reintentos
 const FAILED_SURVEY_CODES = [
-  'ERR_005',   // Error al guardar adjunto (1)
-  'ERR_006',   // Error al guardar adjunto (2)
-  'ERR_007',   // Error al guardar respuestas (3)
-  'ERR_008',   // Error al guardar respuestas (4)
-  'ERR_050',   // Error crítico al crear adjunto
-  'ERR_060'    // Error crítico al guardar respuestas
+  'ERR_QUEUE_EXHAUSTED'
 ];
 
 // Función para determinar si un error es crítico basado en su código
@@ -177,6 +177,31 @@ function getWeeklyStatistics() {
   return statistics;
 }
 
+// Enviar un correo por idioma, cada uno a los destinatarios de ese idioma.
+// buildMail(t) devuelve { subject, html } con los textos traducidos; regresa true si se envió al menos uno
+async function sendLocalizedMail(buildMail, label) {
+  const locales = [...new Set(destinatarios.map(d => d.locale))];
+  let sent = false;
+
+  for (const locale of locales) {
+    const mailOptions = {
+      from: config.email.user,
+      to: destinatarios.filter(d => d.locale === locale).map(d => d.email).join(','),
+      ...buildMail(i18n.translator(locale))
+    };
+
+    try {
+      await transporter.sendMail(mailOptions);
+      console.log(`✉️ ${label} enviado (${locale})`);
+      sent = true;
+    } catch (error) {
+      console.error(`Error al enviar ${label.toLowerCase()} (${locale}):`, error);
+    }
+  }
+
+  return sent;
+}
+
 // Función para enviar correo de error crítico
 async function sendCriticalErrorEmail(errorData) {
   // Leer la imagen y convertirla a base64
@@ -191,33 +216,24 @@ async function sendCriticalErrorEmail(errorData) {
     logoHtml = '<div style="height: 50px;"></div>'; 
   }
 
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: destinatarios.join(','),
-    subject: '⚠️ ERROR CRÍTICO - Onboarding Estafeta',
+  await sendLocalizedMail(t => ({
+    subject: t('email.critical.subject'),
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
         <div style="text-align: center; margin-bottom: 20px;">
             ${logoHtml}
         </div>
-        <h2 style="color: #d32f2f; text-align: center;">Error Crítico Detectado</h2>
-        <p><strong>Fecha y Hora:</strong> ${formatMexicoDateTime(new Date())}</p>
-        <p><strong>Código:</strong> ${errorData.code}</p>
-        <p><strong>Descripción:</strong> ${errorData.description}</p>
-        <p><strong>Origen:</strong> ${errorData.origin}</p>
-        <p><strong>Detalles:</strong></p>
+        <h2 style="color: #d32f2f; text-align: center;">${t('email.critical.title')}</h2>
+        <p><strong>${t('email.critical.date')}:</strong> ${formatMexicoDateTime(new Date())}</p>
+        <p><strong>${t('email.critical.code')}:</strong> ${errorData.code}</p>
+        <p><strong>${t('email.critical.description')}:</strong> ${errorData.description}</p>
+        <p><strong>${t('email.critical.origin')}:</strong> ${errorData.origin}</p>
+        <p><strong>${t('email.critical.details')}:</strong></p>
         <pre style="background-color: #f5f5f5; padding: 10px; border-radius: 5px; overflow-x: auto;">${JSON.stringify(errorData.data, null, 2)}</pre>
         <p style="text-align: center; font-size: 12px; color: #757575;">HolisticTec - ${getMexicoDateTime().year()}</p>
       </div>
     `
-  };
-
-  try {
-    await transporter.sendMail(mailOptions);
-    console.log('✉️ Correo de error crítico enviado');
-  } catch (error) {
-    console.error('Error al enviar correo de error crítico:', error);
-  }
+  }), 'Correo de error crítico');
 }
 
 // Función para enviar reporte semanal
@@ -241,16 +257,18 @@ async function sendWeeklyReport() {
   }
 
   // Crear tabla HTML para errores
-  let errorsTable = '';
-  if (Object.keys(statistics.errorsByType).length > 0) {
-    errorsTable = `
-      <h3>Errores Detectados</h3>
+  const errorsTable = t => {
+    if (Object.keys(statistics.errorsByType).length === 0) {
+      return `<p>${t('email.weekly.noErrors')}</p>`;
+    }
+    return `
+      <h3>${t('email.weekly.errors')}</h3>
       <div style="font-size: 80%;">
         <table border="1" cellpadding="5" cellspacing="0" style="border-collapse: collapse; width: 100%;">
           <tr style="background-color: #f2f2f2;">
-            <th>Código</th>
-            <th>Descripción</th>
-            <th>Ocurrencias</th>
+            <th>${t('email.weekly.code')}</th>
+            <th>${t('email.weekly.description')}</th>
+            <th>${t('email.weekly.occurrences')}</th>
           </tr>
           ${Object.entries(statistics.errorsByType).map(([code, data]) => `
             <tr>
@@ -262,69 +280,61 @@ async function sendWeeklyReport() {
         </table>
       </div>
     `;
-  } else {
-    errorsTable = '<p>No se detectaron errores en la última semana. ¡Sistema funcionando correctamente!</p>';
-  }
+  };
 
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: destinatarios.join(','),
-    subject: '📊 Reporte Semanal - Onboarding Estafeta',
+  const sent = await sendLocalizedMail(t => ({
+    subject: t('email.weekly.subject'),
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
         <div style="text-align: center; margin-bottom: 20px;">
             ${logoHtml}
         </div>
-        <h2 style="color: #1976d2; text-align: center;">REPORTE SEMANAL ONBOARDING ESTAFETA</h2>
-        <p><strong>Período:</strong> ${formatMexicoDate(oneWeekAgo.toDate())} - ${formatMexicoDate(today.toDate())}</p>
+        <h2 style="color: #1976d2; text-align: center;">${t('email.weekly.title')}</h2>
+        <p><strong>${t('email.weekly.period')}:</strong> ${formatMexicoDate(oneWeekAgo.toDate())} - ${formatMexicoDate(today.toDate())}</p>
         
-        <h3>Estadísticas Generales</h3>
+        <h3>${t('email.weekly.general')}</h3>
         <table border="1" cellpadding="5" cellspacing="0" style="border-collapse: collapse; width: 100%;">
           <tr style="background-color: #f2f2f2;">
-            <th>Métrica</th>
-            <th>Valor</th>
+            <th>${t('email.weekly.metric')}</th>
+            <th>${t('email.weekly.value')}</th>
           </tr>
           <tr>
-            <td>Total de Peticiones</td>
+            <td>${t('email.weekly.totalRequests')}</td>
             <td>${statistics.totalRequests}</td>
           </tr>
           <tr>
-            <td>Encuestas Completadas Exitosamente</td>
+            <td>${t('email.weekly.successfulSurveys')}</td>
             <td>${statistics.successfulSurveys}</td>
           </tr>
           <tr>
-            <td>Encuestas Fallidas</td>
+            <td>${t('email.weekly.failedSurveys')}</td>
             <td>${statistics.failedSurveys}</td>
           </tr>
           <tr>
-            <td>Usuarios Únicos</td>
+            <td>${t('email.weekly.uniqueUsers')}</td>
             <td>${statistics.uniqueUsers.size}</td>
           </tr>
           <tr>
-            <td>Errores Críticos</td>
+            <td>${t('email.weekly.criticalErrors')}</td>
             <td>${statistics.errors.critical}</td>
           </tr>
           <tr>
-            <td>Errores Normales</td>
+            <td>${t('email.weekly.normalErrors')}</td>
             <td>${statistics.errors.normal}</td>
           </tr>
         </table>
         
-        ${errorsTable}
+        ${errorsTable(t)}
         
         <p style="text-align: center; font-size: 12px; color: #757575; margin-top: 30px;">
-          HolisticTec - Reporte Generado el ${formatMexicoDateTime(new Date())}
+          HolisticTec - ${t('email.weekly.generatedAt', { date: formatMexicoDateTime(new Date()) })}
         </p>
       </div>
     `
-  };
+  }), 'Reporte semanal');
 
-  try {
-    await transporter.sendMail(mailOptions);
-    console.log('✉️ Reporte semanal enviado');
+  if (sent) {
     lastWeeklyReport = new Date();
-  } catch (error) {
-    console.error('Error al enviar reporte semanal:', error);
   }
 }
 
@@ -368,7 +378,7 @@ function logAction(code, description, origin, data = {}) {
   console.log(`[${timestamp}] [${code}] [${origin}] - ${description}`);
   
   // SOLO enviar correo si el error está en la lista explícita de errores críticos
-  if (isCritical) {
+  if (isCritical && EMAIL_ENABLED) {
     (async () => {
       try {
         await sendCriticalErrorEmail(logEntry);
@@ -380,7 +390,7 @@ function logAction(code, description, origin, data = {}) {
   
   
   // Verificar si es momento de enviar el reporte semanal
-  if (shouldSendWeeklyReport()) {
+  if (EMAIL_ENABLED && shouldSendWeeklyReport()) {
     // Solo ejecutamos esto si es lunes a las 7am
     // Y solo si no hemos enviado un reporte en las últimas 20 horas (para evitar duplicados)
     const noRecentReport = !lastWeeklyReport || 
@@ -393,5 +403,6 @@ function logAction(code, description, origin, data = {}) {
 }
 
 module.exports = {
+  LOG_FILE,
   logAction,
 };
\ No newline at end of file
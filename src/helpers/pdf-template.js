@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const ejs = require('ejs');
+const theme = require('./theme');
+const i18n = require('../i18n');
+
+// Vistas de los PDF y archivos estáticos que se incrustan en ellas
+const VIEWS_DIR = path.join(__dirname, '../views');
+const ASSETS_DIR = path.join(__dirname, '../../public');
+
+const MIME_TYPES = {
+  '.css': 'text/css',
+  '.js': 'application/javascript',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.eot': 'application/vnd.ms-fontobject'
+};
+
+// Los archivos estáticos no cambian mientras corre la aplicación
+const cache = new Map();
+
+function cached(key, build) {
+  if (!cache.has(key)) {
+    cache.set(key, build());
+  }
+  return cache.get(key);
+}
+
+/**
+ * Ruta absoluta de un archivo estático, sin permitir salir de public/
+ * @param {string} relative - Ruta relativa a public/ (p. ej. css/pdf.css)
+ * @returns {string}
+ */
+function assetPath(relative) {
+  if (/^[a-z]+:/i.test(relative) || relative.startsWith('//')) {
+    throw new Error(`Las plantillas de PDF no pueden cargar recursos remotos: ${relative}`);
+  }
+  const file = path.resolve(ASSETS_DIR, relative.replace(/^\/+/, ''));
+  if (!file.startsWith(ASSETS_DIR + path.sep)) {
+    throw new Error(`Recurso fuera de public/: ${relative}`);
+  }
+  return file;
+}
+
+/**
+ * Contenido de un archivo como data URI
+ * @param {string} relative - Ruta relativa a public/
+ * @returns {string}
+ */
+function dataUri(relative) {
+  return cached('uri:' + relative, () => {
+    const file = assetPath(relative);
+    const mime = MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+    return `data:${mime};base64,${fs.readFileSync(file).toString('base64')}`;
+  });
+}
+
+/**
+ * Hoja de estilos con sus fuentes e imágenes incrustadas como data URI
+ * @param {string} relative - Ruta de la hoja relativa a public/
+ * @returns {string} - CSS sin referencias externas
+ */
+function inlineCss(relative) {
+  return cached('css:' + relative, () => {
+    const css = fs.readFileSync(assetPath(relative), 'utf8');
+    const dir = path.posix.dirname(relative.replace(/^\/+/, ''));
+
+    return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, url) => {
+      if (url.startsWith('data:')) {
+        return match;
+      }
+      // Quitar ?#iefix y #icons de las variantes de fuentes
+      const target = path.posix.normalize(path.posix.join(dir, url.split(/[?#]/)[0]));
+      return `url("${dataUri(target)}")`;
+    });
+  });
+}
+
+// Funciones disponibles en las plantillas
+const helpers = {
+  // <$- style('css/pdf.css') $>
+  style: relative => `<style>${inlineCss(relative)}</style>`,
+  // <$- script('js/vendors/d3.min.js') $>
+  script: relative => `<script>${cached('js:' + relative, () =>
+    fs.readFileSync(assetPath(relative), 'utf8').replace(/<\/script/gi, '<\\/script'))}</script>`,
+  // <img src="<$= image('images/logoholistictec.jpg') $>">
+  image: dataUri,
+  // Colores compartidos con las gráficas: <$= theme.positive $>
+  theme,
+  // Textos de src/i18n: <$= t('report.needs') $> (los datos de la vista pueden traer el traductor de otro idioma)
+  t: i18n.translator(i18n.DEFAULT_LOCALE)
+};
+
+/**
+ * Renderizar una vista de PDF como documento HTML autocontenido (sin peticiones de red)
+ * @param {string} view - Nombre de la vista en src/views (sin extensión)
+ * @param {object} data - Datos para la plantilla
+ * @returns {string} - HTML listo para Chromium
+ */
+function render(view, data) {
+  const file = path.join(VIEWS_DIR, path.basename(view) + '.ejs');
+  return ejs.render(fs.readFileSync(file, 'utf8'), Object.assign({}, helpers, data), {
+    delimiter: '$',
+    filename: file
+  });
+}
+
+module.exports = {
+  render,
+  inlineCss,
+  dataUri,
+};
@@ -0,0 +1,294 @@
+const analysisSummary = require("./analysis-summary");
+const i18n = require("../i18n");
+const charts = require("./charts");
+const PersonalityTraitInfo = require('personality-trait-info');
+const TextSummary = require("personality-text-summary");
+const _ = require('lodash');
+
+/*
+ * Capa entre el análisis (src/services/analysis y src/services/profile) y las vistas del reporte:
+ * aquí se calculan los datos y las gráficas; las vistas (src/views) sólo los presentan, con escape automático.
+ */
+
+// personality-text-summary y personality-trait-info de cada idioma (se crean una sola vez)
+const personalityLibraries = _.memoize(locale => ({
+  textSummary: new TextSummary({ version: 'v3', locale }),
+  traitNames: new PersonalityTraitInfo({ version: 'v3', locale })
+}));
+
+/**
+ * Agrupar las puntuaciones de sentimiento y emociones del análisis normalizado
+ * @param {object} analysisResult - Objeto devuelto por un proveedor de src/services/analysis
+ * @returns {object} - Puntuaciones del documento, por entidad y palabra clave, categorías y conceptos
+ */
+const buildPersonalityTraitInfo = (analysisResult) => {
+  const buildTemplate = {
+    Document: {
+      sentiment: null,
+      emotion: null
+    },
+    Sentiment: {
+      "Entity Sentiment Scores": [],
+      "Keyword Sentiment Scores": []
+    },
+    Emotion: {
+      "Entity Emotion Scores": [],
+      "Keyword Emotion Scores": []
+    },
+    Categories: [],
+    Concepts: []
+  };
+
+  // El proveedor puede devolver el documento sólo con emociones (o sólo con sentimiento)
+  const document = analysisResult.document || {};
+  if (document.sentiment) {
+    buildTemplate.Document.sentiment = {
+      score: document.sentiment.score.toFixed(2),
+      label: document.sentiment.label
+    };
+  }
+
+  if (document.emotion) {
+    buildTemplate.Document.emotion = _.mapValues(document.emotion, v => (v * 100).toFixed(2));
+  }
+
+  // Categorías como "/careers/job search": se muestra la ruta sin la diagonal inicial
+  _.forEach(analysisResult.categories, v => {
+    buildTemplate.Categories.push({
+      label: v.label.replace(/^\//, '').split('/').join(' › '),
+      score: (v.score * 100).toFixed(2)
+    });
+  });
+
+  _.forEach(analysisResult.concepts, v => {
+    buildTemplate.Concepts.push({
+      text: v.text,
+      relevance: (v.relevance * 100).toFixed(2)
+    });
+  });
+  
+  if (analysisResult.entities && analysisResult.entities.length > 0) {
+    _.forEach(analysisResult.entities, v => {
+      const sentimentScore = v.sentiment.score.toFixed(2);
+      buildTemplate.Sentiment['Entity Sentiment Scores'].push({
+        text: v.text,
+        score: sentimentScore,
+        label: v.sentiment.label
+      })
+  
+      if (v.emotion) {
+        buildTemplate.Emotion['Entity Emotion Scores'].push({
+          text: v.text,
+          sadness: (v.emotion.sadness * 100).toFixed(2),
+          joy: (v.emotion.joy * 100).toFixed(2),
+          fear: (v.emotion.fear * 100).toFixed(2),
+          disgust: (v.emotion.disgust * 100).toFixed(2),
+          anger: (v.emotion.anger * 100).toFixed(2)
+        })
+      }
+    });
+  }
+  
+  if (analysisResult.keywords && analysisResult.keywords.length > 0) {
+    _.forEach(analysisResult.keywords, v => {
+      const sentimentScore = v.sentiment.score.toFixed(2);
+      buildTemplate.Sentiment['Keyword Sentiment Scores'].push({
+        text: v.text,
+        score: sentimentScore,
+        label: v.sentiment.label
+      })
+  
+      if (v.emotion) {
+        buildTemplate.Emotion['Keyword Emotion Scores'].push({
+          text: v.text,
+          sadness: (v.emotion.sadness * 100).toFixed(2),
+          joy: (v.emotion.joy * 100).toFixed(2),
+          fear: (v.emotion.fear * 100).toFixed(2),
+          disgust: (v.emotion.disgust * 100).toFixed(2),
+          anger: (v.emotion.anger * 100).toFixed(2)
+        })
+      }
+    })
+  }
+
+  return buildTemplate;
+}
+
+/**
+ * Temas (entidades o palabras clave) con su sentimiento y la gráfica de barras divergentes
+ * @param {Array<object>} items - [{ text, score, label }] de buildPersonalityTraitInfo
+ * @param {function} t - Traductor del reporte (src/i18n)
+ * @returns {object} - { items, chart } (chart vacío si no hay temas)
+ */
+const buildSentiment = (items, t) => {
+  return {
+    items,
+    chart: items.length > 0
+      ? charts.divergingBars(items.map(v => ({ label: v.text, score: Number(v.score) })), { title: t('charts.sentimentByTopic') })
+      : ''
+  };
+}
+
+/**
+ * Temas con sus emociones y un radar por tema
+ * @param {Array<object>} items - [{ text, sadness, joy, fear, disgust, anger }] en porcentaje
+ * @param {function} t - Traductor del reporte (src/i18n)
+ * @returns {Array<object>} - [{ text, scores, chart }]
+ */
+const buildEmotion = (items, t) => {
+  return items.map(v => ({
+    text: v.text,
+    scores: _.pick(v, charts.EMOTIONS),
+    chart: charts.radar(_.mapValues(_.pick(v, charts.EMOTIONS), score => Number(score) / 100), { title: v.text, locale: t.locale })
+  }));
+}
+
+/**
+ * Datos de la sección "Retrato de la Personalidad" a partir de un perfil v3
+ * @param {object} profile - Perfil devuelto por un proveedor de src/services/profile
+ * @param {string} [locale] - Idioma del reporte
+ * @returns {object} - { summary, traits, needs, values, sunburst, approximate }
+ */
+const buildPersonalityPortrait = (profile, locale) => {
+  const t = i18n.translator(locale);
+  const { textSummary, traitNames } = personalityLibraries(t.locale);
+
+  return {
+    // Resumen de personality-text-summary, un párrafo por sección
+    summary: textSummary.getSummary(profile).split('\n').filter(Boolean),
+    traits: wrapTraits(profile, traitNames).sort(sortScores),
+    needs: wrapNeeds(profile, traitNames).sort(sortScores),
+    values: wrapValues(profile, traitNames).sort(sortScores),
+    sunburst: {
+      tree: buildSunburstTree(profile, t, traitNames)
+    },
+    // Estimación del modelo local: la vista muestra un aviso
+    approximate: !!profile.approximate
+  };
+};
+
+/**
+ * Convertir el perfil v3 al árbol que espera personality-sunburst-chart (public/js/components):
+ * cada sección tiene un nodo "_parent" con su rasgo más alto y debajo todos los rasgos
+ * @param {object} profile - Perfil v3
+ * @param {function} t - Traductor del reporte (src/i18n)
+ * @param {object} traitNames - personality-trait-info del idioma del reporte
+ * @returns {object} - Nodo raíz con las secciones personality, needs y values
+ */
+const buildSunburstTree = (profile, t, traitNames) => {
+  const node = (item) => {
+    const result = {
+      id: item.trait_id,
+      name: traitNames.name(item.trait_id),
+      category: item.category,
+      percentage: item.percentile
+    };
+    if (item.children) {
+      result.children = item.children.map(node);
+    }
+    return result;
+  };
+
+  const section = (id, name, items) => {
+    const children = items.map(node);
+    const top = _.maxBy(children, 'percentage');
+    return {
+      id,
+      name,
+      children: [Object.assign({}, top, { id: top.id + '_parent', children })]
+    };
+  };
+
+  return {
+    id: 'r',
+    name: 'root',
+    children: [
+      section('personality', t('report.big5'), profile.personality),
+      section('needs', t('report.needs'), profile.needs),
+      section('values', t('report.values'), profile.values)
+    ]
+  };
+};
+
+/**
+ * Datos de la vista del reporte (src/views/index.ejs)
+ * @param {object} analyzed - Resultado de personality-insights.analyze: { analysis, profile }
+ * @param {string} [locale] - Idioma del reporte (src/i18n); REPORT_LOCALE o español por omisión
+ * @returns {object} - { t, locale, summary, document, categories, concepts, sentiment, emotion, personality }
+ *   (personality es null si no hay perfil)
+ */
+const build = ({ analysis, profile }, locale) => {
+  const t = i18n.translator(locale);
+  const traitInfo = buildPersonalityTraitInfo(analysis);
+
+  return {
+    t,
+    locale: t.locale,
+    summary: analysisSummary.getSummary(analysis, t.locale),
+    document: Object.assign({}, traitInfo.Document, {
+      chart: charts.fromAnalysis('emotions', analysis, { locale: t.locale }) || ''
+    }),
+    categories: traitInfo.Categories,
+    concepts: traitInfo.Concepts,
+    sentiment: {
+      entities: buildSentiment(traitInfo.Sentiment['Entity Sentiment Scores'], t),
+      keywords: buildSentiment(traitInfo.Sentiment['Keyword Sentiment Scores'], t)
+    },
+    emotion: {
+      entities: buildEmotion(traitInfo.Emotion['Entity Emotion Scores'], t),
+      keywords: buildEmotion(traitInfo.Emotion['Keyword Emotion Scores'], t)
+    },
+    personality: profile ? buildPersonalityPortrait(profile, t.locale) : null
+  };
+};
+
+function wrapTraits(data, traitNames) {
+  return data.personality.map(function(obj) {
+    const traitName = traitNames.name(obj.trait_id);
+    return {
+      name: traitName,
+      id: obj.trait_id,
+      score: Math.round(obj.percentile * 100),
+      children: obj.children.map(function(obj2) {
+        const traitName2 = traitNames.name(obj2.trait_id);
+        return {
+          name: traitName2,
+          id: obj2.trait_id,
+          score: Math.round(obj2.percentile * 100)
+        };
+      }).sort(function(a, b) { return b.score - a.score; })
+    };
+  });
+}
+
+function wrapNeeds(data, traitNames) {
+  return data.needs.map(function(obj) {
+    const traitName = traitNames.name(obj.trait_id);
+    return {
+      id: obj.trait_id,
+      name: traitName,
+      score: Math.round(obj.percentile * 100)
+    };
+  });
+}
+
+function wrapValues(data, traitNames) {
+  return data.values.map(function(obj) {
+    const traitName = traitNames.name(obj.trait_id);
+    return {
+      id: obj.trait_id,
+      name: traitName,
+      score: Math.round(obj.percentile * 100)
+    };
+  });
+}
+
+function sortScores(obj1, obj2) {
+  return obj2.score - obj1.score;
+}
+
+module.exports = {
+  build,
+  buildPersonalityTraitInfo,
+  buildPersonalityPortrait,
+};
@@ -0,0 +1,158 @@
+const _ = require('lodash');
+const moment = require('moment-timezone');
+const survey = require('./survey');
+const queue = require('./submission-queue');
+const topicReport = require('./topic-report');
+const spreadsheet = require('./spreadsheet');
+const i18n = require('../i18n');
+
+// Las fechas de envío se exportan en hora de México, igual que el periodo
+const TIMEZONE = 'America/Mexico_City';
+// Palabras clave del comentario en la columna de resumen de sentimiento
+const MAX_KEYWORDS = 3;
+
+// El CSV lleva BOM para que Excel lo abra como UTF-8
+const FORMATS = {
+  csv: { type: 'text/csv; charset=utf-8', render: (columns, rows) => Buffer.from('\uFEFF' + spreadsheet.toCsv(columns, rows), 'utf8') },
+  xlsx: { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', render: spreadsheet.toXlsx }
+};
+
+/**
+ * Preguntas a exportar: las de la ola indicada o las de todas las olas, una por campo de SuccessFactors
+ * @param {Array<object>} definitions - Definiciones de encuesta
+ * @returns {Array<object>} - Preguntas de la definición
+ */
+function questionsOf(definitions) {
+  return _.uniqBy(_.flatMap(definitions, definition => definition.questions), q => q.field);
+}
+
+/**
+ * Texto de una respuesta: las escalas con su valor y etiqueta ("4 - Satisfecho") para que ordenen bien
+ * en una tabla dinámica, y sí/no con la etiqueta de la definición
+ * @param {object} definition - Definición de la encuesta del envío
+ * @param {object} question - Pregunta
+ * @param {*} value - Valor guardado para SuccessFactors
+ * @returns {string|null}
+ */
+function labelFor(definition, question, value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const option = survey.optionsFor(definition, question).find(o => o.value === String(value));
+  if (!option) {
+    return String(value);
+  }
+  return question.type === survey.TYPES.SCALE ? `${option.value} - ${option.label}` : option.label;
+}
+
+/**
+ * Columnas de la exportación
+ * @param {Array<object>} definitions - Definiciones incluidas
+ * @param {function} t - Traductor del idioma de los encabezados
+ * @param {boolean} sentiment - Agregar las columnas de resumen de sentimiento
+ * @returns {Array<object>} - [{ key, label }]
+ */
+function columnsFor(definitions, t, sentiment) {
+  const columns = [
+    { key: 'submission_id', label: t('export.submission') },
+    { key: 'external_code', label: t('export.externalCode') },
+    { key: 'wave', label: t('export.wave') },
+    { key: 'status', label: t('export.status') },
+    { key: 'submitted_at', label: t('export.submittedAt') },
+    ...questionsOf(definitions).map(q => ({ key: q.field, label: q.text }))
+  ];
+  if (sentiment) {
+    columns.push(
+      { key: 'sentiment_score', label: t('export.sentimentScore') },
+      { key: 'sentiment_label', label: t('export.sentimentLabel') },
+      { key: 'keywords', label: t('export.keywords') }
+    );
+  }
+  return columns;
+}
+
+/**
+ * Fila de un envío. El resumen de sentimiento sale del análisis guardado en el envío,
+ * así que queda vacío para los que el worker aún no procesa.
+ * @param {object} submission - Envío de la cola
+ * @param {object} definition - Definición de su encuesta
+ * @param {function} t - Traductor
+ * @returns {object}
+ */
+function rowFor(submission, definition, t) {
+  const fields = survey.toSuccessFactors(definition, submission.data);
+  const row = {
+    submission_id: submission.id,
+    external_code: submission.external_code,
+    wave: definition.wave.value,
+    status: submission.status,
+    submitted_at: moment(submission.created_at).tz(TIMEZONE).format('YYYY-MM-DD HH:mm')
+  };
+  definition.questions.forEach(q => {
+    row[q.field] = q.type === survey.TYPES.TEXT ? (fields[q.field] || null) : labelFor(definition, q, fields[q.field]);
+  });
+
+  const analysis = submission.analysis && submission.analysis.analysis;
+  if (analysis && analysis.document && analysis.document.sentiment) {
+    row.sentiment_score = analysis.document.sentiment.score;
+    row.sentiment_label = t('sentiment.' + analysis.document.sentiment.label);
+    row.keywords = _.orderBy(analysis.keywords || [], 'relevance', 'desc').slice(0, MAX_KEYWORDS).map(k => k.text).join(', ');
+  }
+  return row;
+}
+
+/**
+ * Respuestas recibidas en un periodo, listas para CSV o XLSX
+ * @param {object} [query] - { from, to, survey, sentiment, locale }
+ * @returns {object} - { period, columns, rows }
+ * @throws {Error} - code INVALID_PERIOD o INVALID_SURVEY
+ */
+function build(query = {}) {
+  const period = topicReport.periodOf(query);
+
+  if (query.survey && !survey.exists(query.survey)) {
+    const error = new Error(`La encuesta ${query.survey} no existe`);
+    error.code = 'INVALID_SURVEY';
+    throw error;
+  }
+
+  const definitions = query.survey ? [survey.load(query.survey)] : survey.list();
+  const byId = _.keyBy(definitions, 'id');
+  const t = i18n.translator(query.locale);
+  const sentiment = query.sentiment === true || query.sentiment === 'true' || query.sentiment === '1';
+
+  const rows = queue
+    .list(s => byId[s.meta.survey] && moment(s.created_at).isBetween(period.from, period.to, null, '[]'))
+    .map(s => rowFor(s, byId[s.meta.survey], t));
+
+  return {
+    period: { from: period.from.format('YYYY-MM-DD'), to: period.to.format('YYYY-MM-DD') },
+    columns: columnsFor(definitions, t, sentiment),
+    rows
+  };
+}
+
+/**
+ * Archivo de la exportación
+ * @param {object} exported - Resultado de build
+ * @param {string} format - csv o xlsx
+ * @returns {object} - { filename, type, content }
+ */
+function render(exported, format) {
+  const output = FORMATS[format];
+  if (!output) {
+    throw new Error(`Formato de exportación desconocido: ${format}`);
+  }
+  return {
+    filename: `respuestas_${exported.period.from}_${exported.period.to}.${format}`,
+    type: output.type,
+    content: output.render(exported.columns, exported.rows)
+  };
+}
+
+module.exports = {
+  FORMATS,
+  labelFor,
+  build,
+  render,
+};
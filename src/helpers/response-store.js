@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const survey = require('./survey');
+const config = require('../config');
+const logger = require('./logger');
+
+// Directorio con las respuestas para el tablero (un archivo JSON por empleado y ola)
+const RESPONSES_DIR = config.responsesDir;
+
+function fileFor(external_code, surveyId) {
+  const key = String(surveyId) + '_' + String(external_code);
+  return path.join(RESPONSES_DIR, key.replace(/[^A-Za-z0-9_-]/g, '_') + '.json');
+}
+
+/**
+ * Respuestas cerradas (si/no y escalas) por campo de SuccessFactors; los comentarios no se guardan aquí
+ * @param {object} definition - Definición de la encuesta
+ * @param {object} data - Respuestas recibidas (q1, q2, ..., comments)
+ * @returns {object} - { cust_curso_induccion: true, cust_proceso_bienvenida: '4', ... }
+ */
+function answersOf(definition, data) {
+  const fields = survey.toSuccessFactors(definition, data);
+  const answers = {};
+  definition.questions
+    .filter(q => q.type !== survey.TYPES.TEXT && fields[q.field] !== undefined)
+    .forEach(q => {
+      answers[q.field] = fields[q.field];
+    });
+  return answers;
+}
+
+/**
+ * Guardar las respuestas de un envío. Un nuevo envío del mismo empleado y ola reemplaza al anterior.
+ * @param {object} submission - Envío de la cola (id, external_code, data, created_at)
+ * @param {object} definition - Definición de la encuesta
+ * @param {object} [employee] - Datos del empleado: { hire_date, department }
+ * @returns {object} - Registro guardado
+ */
+function save(submission, definition, employee = {}) {
+  const record = {
+    submission_id: submission.id,
+    external_code: submission.external_code,
+    survey: definition.id,
+    wave: definition.wave.value,
+    department: employee.department || null,
+    hire_date: employee.hire_date || null,
+    submitted_at: submission.created_at,
+    answers: answersOf(definition, submission.data)
+  };
+
+  const file = fileFor(record.external_code, record.survey);
+  fs.mkdirSync(RESPONSES_DIR, { recursive: true });
+  // Escritura atómica, igual que en la cola de envíos
+  const tmp = file + '.' + process.pid + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(record, null, 2), { encoding: 'utf8' });
+  fs.renameSync(tmp, file);
+  return record;
+}
+
+/**
+ * Listar las respuestas guardadas
+ * @returns {Array<object>} - Registros ordenados por fecha de envío
+ */
+function list() {
+  if (!fs.existsSync(RESPONSES_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(RESPONSES_DIR)
+    .filter(name => name.endsWith('.json'))
+    .map(name => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(RESPONSES_DIR, name), 'utf8'));
+      } catch (error) {
+        logger.logAction('ERR_RESPONSE_READ', 'Error al leer respuestas del tablero', 'response-store.js:list', {
+          file: name,
+          message: error.message
+        });
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.submitted_at.localeCompare(b.submitted_at));
+}
+
+module.exports = {
+  RESPONSES_DIR,
+  save,
+  list,
+};
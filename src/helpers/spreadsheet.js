@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const convertCsvToXlsx = require('@aternus/csv-to-xlsx');
+
+// Valor de una celda CSV; con guard, los textos que Excel interpretaría como fórmula se anteponen con '
+function csvCell(value, guard) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (guard && typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = "'" + text;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Filas CSV de la tabla, con o sin la protección contra fórmulas
+function csvLines(columns, rows, guard) {
+  const lines = [columns.map(c => csvCell(c.label, guard))]
+    .concat(rows.map(row => columns.map(c => csvCell(row[c.key], guard))));
+  return lines.map(cells => cells.join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Tabla en formato CSV (UTF-8, separada por comas)
+ * @param {Array<object>} columns - [{ key, label }] en el orden de la tabla; los encabezados deben ser únicos
+ * @param {Array<object>} rows - Filas con un valor por key
+ * @returns {string}
+ */
+function toCsv(columns, rows) {
+  return csvLines(columns, rows, true);
+}
+
+/**
+ * Tabla en formato XLSX (una hoja). @aternus/csv-to-xlsx sólo convierte archivos,
+ * así que el CSV pasa por un directorio temporal que se borra al terminar.
+ * Ese CSV no lleva el ' contra fórmulas: la conversión escribe cada celda como texto, que Excel no evalúa,
+ * y el apóstrofo aparecería tal cual en la celda.
+ * @param {Array<object>} columns - [{ key, label }]
+ * @param {Array<object>} rows - Filas con un valor por key
+ * @returns {Buffer} - Contenido del archivo XLSX
+ */
+function toXlsx(columns, rows) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'onb-xlsx-'));
+  try {
+    const source = path.join(dir, 'tabla.csv');
+    const destination = path.join(dir, 'tabla.xlsx');
+    fs.writeFileSync(source, csvLines(columns, rows, false), 'utf8');
+    convertCsvToXlsx(source, destination);
+    return fs.readFileSync(destination);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  toCsv,
+  toXlsx,
+};
@@ -0,0 +1,410 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+
+// Directorio donde se persiste cada encuesta recibida (un archivo JSON por envío)
+const QUEUE_DIR = config.queue.dir;
+// Un envío en proceso por más tiempo que esto quedó de un proceso que terminó sin registrar el resultado
+const PROCESSING_TIMEOUT = config.queue.processingTimeout;
+
+// Estados posibles de un envío
+const STATUS = {
+  PENDING: 'pending',       // En espera de ser procesado (o de su siguiente reintento)
+  PROCESSING: 'processing', // Tomado por el worker
+  COMPLETED: 'completed',   // Adjunto y respuestas guardados en SuccessFactors
+  FAILED: 'failed'          // Se agotaron los reintentos
+};
+
+// Asegurar que el directorio de la cola existe
+function ensureDir() {
+  if (!fs.existsSync(QUEUE_DIR)) {
+    fs.mkdirSync(QUEUE_DIR, { recursive: true });
+  }
+}
+
+function fileFor(id) {
+  // Evitar rutas arbitrarias a partir del identificador recibido
+  if (!/^[A-Za-z0-9-]+$/.test(id)) {
+    return null;
+  }
+  return path.join(QUEUE_DIR, id + '.json');
+}
+
+// Escritura atómica: un proceso que muere a mitad de escritura no deja un JSON corrupto
+function write(submission) {
+  ensureDir();
+  const file = fileFor(submission.id);
+  const tmp = file + '.' + process.pid + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(submission, null, 2), { encoding: 'utf8' });
+  fs.renameSync(tmp, file);
+  return submission;
+}
+
+// Un candado más antiguo que esto quedó de un proceso que terminó sin liberarlo
+const LOCK_STALE_MS = 30 * 1000;
+// Pausa entre intentos al esperar un candado, y tiempo máximo que update espera el de un envío
+const LOCK_RETRY_MS = 5;
+const UPDATE_LOCK_WAIT_MS = 2000;
+
+// Pausa síncrona: lo que se hace con el candado tomado también es síncrono y dura milisegundos
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Ejecutar fn con un candado exclusivo sobre un archivo de la cola. El candado se crea con 'wx',
+ * así que la app y bin/onb (procesos distintos) no pueden leer y modificar el mismo archivo a la vez.
+ * @param {string} file - Archivo a proteger
+ * @param {function} fn - Lectura y escritura síncronas a realizar con el candado tomado
+ * @param {number} [wait] - Milisegundos que se espera a que otro proceso libere el candado (0: no se espera)
+ * @returns {*} - Resultado de fn
+ * @throws {Error} - code LOCKED si otro proceso tiene el candado
+ */
+function withLock(file, fn, wait = 0) {
+  const lock = file + '.lock';
+  fs.mkdirSync(path.dirname(lock), { recursive: true });
+
+  try {
+    fs.writeFileSync(lock, String(process.pid), { flag: 'wx' });
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+    let stale = false;
+    try {
+      stale = Date.now() - fs.statSync(lock).mtimeMs > LOCK_STALE_MS;
+    } catch (statError) {
+      // El otro proceso lo liberó entre los dos pasos; se vuelve a intentar abajo
+      stale = statError.code === 'ENOENT';
+    }
+    if (!stale && wait > 0) {
+      sleep(LOCK_RETRY_MS);
+      return withLock(file, fn, wait - LOCK_RETRY_MS);
+    }
+    if (!stale) {
+      const locked = new Error(`${path.basename(file)} está en uso por otro proceso`);
+      locked.code = 'LOCKED';
+      throw locked;
+    }
+    fs.rmSync(lock, { force: true });
+    return withLock(file, fn, wait);
+  }
+
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lock, { force: true });
+  }
+}
+
+function claimFileFor(external_code, survey) {
+  const key = String(external_code) + '_' + String(survey);
+  return path.join(QUEUE_DIR, 'claims', key.replace(/[^A-Za-z0-9_-]/g, '_') + '.json');
+}
+
+/**
+ * Reservar el código externo y la ola para un envío. La creación exclusiva del archivo ('wx')
+ * garantiza que dos envíos simultáneos del mismo empleado no puedan reservarlo a la vez.
+ * @param {string} external_code - Código externo del empleado
+ * @param {string} survey - Identificador de la encuesta (ola)
+ * @param {string} id - Identificador del envío
+ * @returns {string|null} - null si se reservó, o el id del envío que ya lo tiene reservado
+ */
+function claim(external_code, survey, id) {
+  const file = claimFileFor(external_code, survey);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  try {
+    fs.writeFileSync(file, JSON.stringify({ submission_id: id }), { encoding: 'utf8', flag: 'wx' });
+    return null;
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+  }
+
+  const ownerOf = () => JSON.parse(fs.readFileSync(file, 'utf8')).submission_id;
+
+  // Un envío fallido definitivamente no bloquea un nuevo intento del empleado. El dueño se vuelve a leer
+  // con el candado tomado: dos envíos que quieren reemplazar al mismo fallido no pueden quedarse ambos la reserva
+  try {
+    return withLock(file, () => {
+      const owner = ownerOf();
+      const current = get(owner);
+      if (owner === id) {
+        return null;
+      }
+      if (current && current.status !== STATUS.FAILED) {
+        return owner;
+      }
+      const tmp = file + '.' + process.pid + '.tmp';
+      fs.writeFileSync(tmp, JSON.stringify({ submission_id: id }), { encoding: 'utf8' });
+      fs.renameSync(tmp, file);
+      return null;
+    });
+  } catch (error) {
+    if (error.code !== 'LOCKED') {
+      throw error;
+    }
+    return ownerOf();
+  }
+}
+
+/**
+ * Envío que tiene reservada una ola para un código externo
+ * @param {string} external_code - Código externo del empleado
+ * @param {string} survey - Identificador de la encuesta (ola)
+ * @returns {object|null} - Envío o null si no hay ninguno
+ */
+function findByExternalCode(external_code, survey) {
+  const file = claimFileFor(external_code, survey);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return get(JSON.parse(fs.readFileSync(file, 'utf8')).submission_id);
+}
+
+/**
+ * Persistir un envío nuevo en la cola. Es idempotente: reenviar el mismo
+ * submission_id devuelve el envío existente en lugar de crear otro.
+ * @param {object} data - Cuerpo validado de la encuesta (incluye submission_id generado por el cliente)
+ * @param {object} meta - Datos necesarios para procesarlo: survey (ola) y employee ({ hire_date, department } del token)
+ * @returns {object} - { submission, created }
+ * @throws {Error} - code DUPLICATE_SUBMISSION si el empleado ya tiene otro envío activo o completado de la ola
+ */
+function enqueue(data, meta) {
+  const id = data.submission_id;
+  const existing = get(id);
+
+  if (existing) {
+    if (existing.external_code !== data.external_code) {
+      const error = new Error(`El envío ${id} pertenece a otro empleado`);
+      error.code = 'DUPLICATE_SUBMISSION';
+      throw error;
+    }
+    // Un envío fallido que se reenvía vuelve a la cola conservando su avance, si nadie más tomó su ola
+    if (existing.status === STATUS.FAILED) {
+      return { submission: retry(id) || get(id), created: false };
+    }
+    return { submission: existing, created: false };
+  }
+
+  const owner = claim(data.external_code, meta.survey, id);
+  if (owner) {
+    const error = new Error(`El código ${data.external_code} ya tiene el envío ${owner}`);
+    error.code = 'DUPLICATE_SUBMISSION';
+    error.submission_id = owner;
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const submission = write({
+    id,
+    external_code: data.external_code,
+    status: STATUS.PENDING,
+    attempts: 0,
+    next_attempt_at: now,
+    last_error: null,
+    // Avance de las dos fases, para reanudar sin repetir lo que ya se guardó
+    progress: {
+      attachment_id: null,
+      effective_start_date: null
+    },
+    created_at: now,
+    updated_at: now,
+    meta,
+    data
+  });
+
+  return { submission, created: true };
+}
+
+/**
+ * Obtener un envío por su identificador
+ * @param {string} id - Identificador del envío
+ * @returns {object|null} - Envío o null si no existe
+ */
+function get(id) {
+  const file = fileFor(String(id));
+  if (!file || !fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Actualizar un envío existente. Se relee y escribe con el candado del envío para no perder
+ * un cambio de take o retry hecho al mismo tiempo por otro proceso.
+ * @param {string} id - Identificador del envío
+ * @param {object} changes - Campos a modificar
+ * @returns {object} - Envío actualizado
+ * @throws {Error} - Si el envío no existe, o code LOCKED si otro proceso no libera su candado
+ */
+function update(id, changes) {
+  const file = fileFor(String(id));
+  if (!file || !get(id)) {
+    throw new Error(`Envío ${id} no encontrado en la cola`);
+  }
+  return withLock(file, () => {
+    const submission = get(id);
+    return write(Object.assign(submission, changes, { updated_at: new Date().toISOString() }));
+  }, UPDATE_LOCK_WAIT_MS);
+}
+
+/**
+ * Tomar un envío pendiente para procesarlo: se relee del disco y, sólo si sigue pendiente,
+ * pasa a PROCESSING con un intento más, todo con el candado del envío. Así dos ciclos del worker,
+ * o el worker de la app y bin/onb, no procesan el mismo envío a la vez.
+ * @param {string} id - Identificador del envío
+ * @returns {object|null} - Envío tomado, o null si ya no está pendiente o lo tiene otro proceso
+ */
+function take(id) {
+  const file = fileFor(String(id));
+  if (!file) {
+    return null;
+  }
+  try {
+    return withLock(file, () => {
+      const submission = get(id);
+      if (!submission || submission.status !== STATUS.PENDING) {
+        return null;
+      }
+      return write(Object.assign(submission, {
+        status: STATUS.PROCESSING,
+        attempts: submission.attempts + 1,
+        processing_since: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }));
+    });
+  } catch (error) {
+    if (error.code !== 'LOCKED') {
+      throw error;
+    }
+    return null;
+  }
+}
+
+/**
+ * Volver a poner en cola un envío fallido para procesarlo de inmediato, con los intentos en cero.
+ * Conserva su avance: el adjunto ya subido y la fecha efectiva no se repiten. Antes recupera la reserva
+ * de su ola, que pudo tomar un envío más reciente del empleado mientras éste estaba fallido.
+ * @param {string} id - Identificador del envío
+ * @returns {object|null} - Envío actualizado, o null si ya no está fallido (otro proceso lo reenvió)
+ * @throws {Error} - code DUPLICATE_SUBMISSION si otro envío activo o completado tiene la reserva de la ola
+ */
+function retry(id) {
+  const file = fileFor(String(id));
+  if (!file) {
+    return null;
+  }
+  try {
+    return withLock(file, () => {
+      const submission = get(id);
+      if (!submission || submission.status !== STATUS.FAILED) {
+        return null;
+      }
+
+      const owner = claim(submission.external_code, submission.meta.survey, id);
+      if (owner) {
+        const error = new Error(`El código ${submission.external_code} ya tiene el envío ${owner}`);
+        error.code = 'DUPLICATE_SUBMISSION';
+        error.submission_id = owner;
+        throw error;
+      }
+
+      return write(Object.assign(submission, {
+        status: STATUS.PENDING,
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }));
+    });
+  } catch (error) {
+    if (error.code !== 'LOCKED') {
+      throw error;
+    }
+    return null;
+  }
+}
+
+/**
+ * Listar los envíos persistidos, opcionalmente filtrados
+ * @param {function} [predicate] - Filtro a aplicar
+ * @returns {Array<object>} - Envíos ordenados por fecha de creación
+ */
+function list(predicate = () => true) {
+  ensureDir();
+  return fs.readdirSync(QUEUE_DIR)
+    .filter(name => name.endsWith('.json'))
+    .map(name => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(QUEUE_DIR, name), 'utf8'));
+      } catch (error) {
+        logger.logAction('ERR_QUEUE_READ', 'Error al leer envío de la cola', 'submission-queue.js:list', {
+          file: name,
+          message: error.message
+        });
+        return null;
+      }
+    })
+    .filter(submission => submission && predicate(submission))
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+/**
+ * Envíos pendientes cuyo siguiente intento ya venció
+ * @returns {Array<object>}
+ */
+function due() {
+  const now = new Date().toISOString();
+  return list(s => s.status === STATUS.PENDING && s.next_attempt_at <= now);
+}
+
+// En proceso desde hace más de PROCESSING_TIMEOUT (los envíos anteriores a processing_since usan updated_at)
+function isStale(submission, now) {
+  return submission.status === STATUS.PROCESSING
+    && now - Date.parse(submission.processing_since || submission.updated_at) > PROCESSING_TIMEOUT;
+}
+
+/**
+ * Devolver a pendientes los envíos que quedaron en proceso (p. ej. tras un reinicio). Sólo los que
+ * llevan más de PROCESSING_TIMEOUT: uno más reciente puede estarlo procesando otro proceso (bin/onb replay --now).
+ * Cada envío se relee con su candado antes de cambiarlo.
+ * @returns {number} - Número de envíos recuperados
+ */
+function recover() {
+  const now = Date.now();
+  let recovered = 0;
+  list(s => isStale(s, now)).forEach(stuck => {
+    try {
+      withLock(fileFor(stuck.id), () => {
+        const submission = get(stuck.id);
+        if (!submission || !isStale(submission, now)) {
+          return;
+        }
+        write(Object.assign(submission, { status: STATUS.PENDING, updated_at: new Date().toISOString() }));
+        recovered++;
+      });
+    } catch (error) {
+      if (error.code !== 'LOCKED') {
+        throw error;
+      }
+    }
+  });
+  return recovered;
+}
+
+module.exports = {
+  STATUS,
+  QUEUE_DIR,
+  enqueue,
+  findByExternalCode,
+  get,
+  update,
+  take,
+  retry,
+  list,
+  due,
+  recover,
+};
@@ -0,0 +1,178 @@
+const queue = require('./submission-queue');
+const logger = require('./logger');
+const config = require('../config');
+
+// Intervalo de sondeo de la cola y política de reintentos (configurables por entorno)
+const POLL_INTERVAL = config.queue.pollInterval;
+const MAX_ATTEMPTS = config.queue.maxAttempts;
+const RETRY_BASE_DELAY = config.queue.retryBaseDelay;
+const RETRY_MAX_DELAY = 60 * 60 * 1000;
+
+let timer = null;
+let running = null;
+let handler = null;
+
+/**
+ * Calcular el retraso antes del siguiente intento (backoff exponencial)
+ * @param {number} attempts - Intentos realizados hasta ahora
+ * @returns {number} - Milisegundos de espera
+ */
+function backoff(attempts) {
+  return Math.min(RETRY_BASE_DELAY * Math.pow(2, attempts - 1), RETRY_MAX_DELAY);
+}
+
+/**
+ * Procesar un envío y registrar su resultado en la cola
+ * @param {object} submission - Envío tomado de la cola (puede venir de una lista ya desactualizada)
+ * @param {function} processSubmission - Función que procesa un envío y devuelve { success, code, message }
+ * @returns {Promise<boolean>} - false si el envío ya no estaba pendiente o lo tomó otro proceso
+ */
+async function processOne(submission, processSubmission) {
+  const taken = queue.take(submission.id);
+  if (!taken) {
+    return false;
+  }
+  const attempts = taken.attempts;
+
+  let result;
+  try {
+    result = await processSubmission(taken);
+  } catch (error) {
+    result = { success: false, code: 'ERR_COMM_FAILURE', message: error.message };
+  }
+
+  if (result.success) {
+    queue.update(submission.id, {
+      status: queue.STATUS.COMPLETED,
+      last_error: null,
+      completed_at: new Date().toISOString()
+    });
+    return true;
+  }
+
+  const last_error = { code: result.code, message: result.message };
+
+  if (attempts >= MAX_ATTEMPTS) {
+    queue.update(submission.id, { status: queue.STATUS.FAILED, last_error });
+    logger.logAction('ERR_QUEUE_EXHAUSTED', 'Se agotaron los reintentos de la encuesta', 'submission-worker.js:processOne', {
+      submission_id: submission.id,
+      external_code: submission.external_code,
+      attempts,
+      last_error
+    });
+    return true;
+  }
+
+  const delay = backoff(attempts);
+  queue.update(submission.id, {
+    status: queue.STATUS.PENDING,
+    last_error,
+    next_attempt_at: new Date(Date.now() + delay).toISOString()
+  });
+  logger.logAction('WARN_QUEUE_RETRY', 'Encuesta programada para reintento', 'submission-worker.js:processOne', {
+    submission_id: submission.id,
+    external_code: submission.external_code,
+    attempts,
+    retry_in_ms: delay,
+    last_error
+  });
+  return true;
+}
+
+/**
+ * Procesar todos los envíos vencidos de la cola, uno a la vez
+ * @returns {Promise<number>} - Número de envíos procesados
+ */
+function runOnce() {
+  // Evitar dos ciclos simultáneos si un procesamiento tarda más que el intervalo
+  if (running) {
+    return running;
+  }
+
+  running = (async () => {
+    // Los envíos abandonados en proceso (p. ej. por un reinicio) vuelven a pendientes al vencer su tiempo
+    const recovered = queue.recover();
+    if (recovered > 0) {
+      logger.logAction('WARN_QUEUE_RECOVERED', 'Envíos abandonados en proceso devueltos a pendientes', 'submission-worker.js:runOnce', {
+        recovered
+      });
+    }
+
+    let processed = 0;
+    for (const submission of queue.due()) {
+      if (await processOne(submission, handler)) {
+        processed++;
+      }
+    }
+    return processed;
+  })().finally(() => {
+    running = null;
+  });
+
+  return running;
+}
+
+/**
+ * Procesar un envío de inmediato, fuera del ciclo de sondeo (p. ej. al reenviarlo desde bin/onb).
+ * Se toma igual que en el ciclo, así que si el worker de la app ya lo tomó no se procesa dos veces.
+ * @param {string} id - Identificador del envío
+ * @param {function} processSubmission - Función que procesa un envío y devuelve { success, code, message }
+ * @returns {Promise<object>} - Envío con su estado final
+ * @throws {Error} - Si el envío no existe, o code SUBMISSION_NOT_PENDING si no está pendiente o lo tomó otro proceso
+ */
+async function processNow(id, processSubmission) {
+  const submission = queue.get(id);
+  if (!submission) {
+    throw new Error(`Envío ${id} no encontrado en la cola`);
+  }
+  if (!(await processOne(submission, processSubmission))) {
+    const error = new Error(`El envío ${id} no está pendiente o ya lo tomó otro proceso`);
+    error.code = 'SUBMISSION_NOT_PENDING';
+    throw error;
+  }
+  return queue.get(id);
+}
+
+/**
+ * Iniciar el worker de la cola de encuestas
+ * @param {function} processSubmission - Función que procesa un envío y devuelve { success, code, message }
+ */
+function start(processSubmission) {
+  handler = processSubmission;
+
+  const recovered = queue.recover();
+  logger.logAction('INFO_QUEUE_START', 'Worker de encuestas iniciado', 'submission-worker.js:start', {
+    poll_interval: POLL_INTERVAL,
+    max_attempts: MAX_ATTEMPTS,
+    recovered
+  });
+
+  timer = setInterval(() => {
+    runOnce().catch(error => {
+      logger.logAction('ERR_RUNTIME', 'Error en el worker de encuestas', 'submission-worker.js:start', {
+        message: error.message,
+        stack: error.stack
+      });
+    });
+  }, POLL_INTERVAL);
+}
+
+/**
+ * Detener el worker esperando a que termine el ciclo en curso
+ */
+async function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  if (running) {
+    await running;
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+  processNow,
+};
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const config = require('../config');
+
+// Directorio con las definiciones de encuesta (un JSON por encuesta u ola)
+const SURVEYS_DIR = config.surveysDir;
+
+// Tipos de pregunta soportados
+const TYPES = {
+  YES_NO: 'yes_no', // Si/No, se guarda como booleano
+  SCALE: 'scale',   // Escala de opciones (p. ej. 1 a 5), se guarda el valor elegido
+  TEXT: 'text'      // Texto libre; la pregunta "comments" es la que se analiza en el PDF
+};
+
+const YES_NO_OPTIONS = [
+  { value: 'true', label: 'Si' },
+  { value: 'false', label: 'No' }
+];
+
+/**
+ * Verificar que la definición sea utilizable antes de exponerla
+ * @param {object} definition - Definición leída del archivo
+ * @param {string} file - Ruta del archivo (para el mensaje de error)
+ */
+function assertValid(definition, file) {
+  const problems = [];
+  const ids = new Set();
+
+  (definition.questions || []).forEach((q, i) => {
+    const where = `questions[${i}]`;
+    if (!q.id) problems.push(`${where}: falta "id"`);
+    if (ids.has(q.id)) problems.push(`${where}: "id" duplicado (${q.id})`);
+    ids.add(q.id);
+    if (!Object.values(TYPES).includes(q.type)) problems.push(`${where}: tipo desconocido "${q.type}"`);
+    if (!q.field) problems.push(`${where}: falta "field" de SuccessFactors`);
+    if (q.type === TYPES.SCALE && !(definition.scales || {})[q.scale]) problems.push(`${where}: escala desconocida "${q.scale}"`);
+  });
+
+  if (!ids.has('comments')) {
+    problems.push('falta la pregunta de texto "comments"');
+  }
+
+  const wave = definition.wave;
+  if (!wave || !wave.field || !wave.value) {
+    problems.push('falta "wave" con "field" y "value" de SuccessFactors');
+  } else if (!(wave.from_days >= 0) || !(wave.to_days >= wave.from_days)) {
+    problems.push('"wave.from_days"/"wave.to_days" no forman un rango válido');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Definición de encuesta inválida (${file}): ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * Cargar una definición de encuesta. Se lee en cada llamada para que los cambios
+ * de RH al archivo se apliquen sin reiniciar la aplicación.
+ * @param {string} id - Identificador de la encuesta
+ * @returns {object} - Definición validada
+ */
+function load(id) {
+  const file = path.join(SURVEYS_DIR, path.basename(String(id)) + '.json');
+  const definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assertValid(definition, file);
+  return definition;
+}
+
+/**
+ * Indicar si existe una definición con ese identificador
+ * @param {string} id - Identificador de la encuesta
+ * @returns {boolean}
+ */
+function exists(id) {
+  return !!id && fs.existsSync(path.join(SURVEYS_DIR, path.basename(String(id)) + '.json'));
+}
+
+/**
+ * Todas las definiciones (olas) ordenadas por el inicio de su ventana
+ * @returns {Array<object>}
+ */
+function list() {
+  return fs.readdirSync(SURVEYS_DIR)
+    .filter(name => name.endsWith('.json'))
+    .map(name => load(path.basename(name, '.json')))
+    .sort((a, b) => a.wave.from_days - b.wave.from_days);
+}
+
+/**
+ * Olas cuya ventana de elegibilidad incluye los días transcurridos desde el ingreso.
+ * Sin fecha de ingreso sólo se ofrece la primera ola (desde el día 0).
+ * @param {Date|string|null} hireDate - Fecha de ingreso del empleado
+ * @param {Date} [now] - Fecha de referencia
+ * @returns {Array<object>} - Definiciones elegibles
+ */
+function eligible(hireDate, now = new Date()) {
+  if (!hireDate) {
+    return list().filter(d => d.wave.from_days === 0);
+  }
+  const days = moment(now).startOf('day').diff(moment(hireDate).startOf('day'), 'days');
+  return list().filter(d => days >= d.wave.from_days && days <= d.wave.to_days);
+}
+
+/**
+ * Opciones de respuesta de una pregunta
+ * @param {object} definition - Definición de la encuesta
+ * @param {object} question - Pregunta
+ * @returns {Array<object>} - [{ value, label }]
+ */
+function optionsFor(definition, question) {
+  if (question.type === TYPES.YES_NO) return YES_NO_OPTIONS;
+  if (question.type === TYPES.SCALE) return definition.scales[question.scale];
+  return [];
+}
+
+/**
+ * Versión pública de la definición para el formulario (sin nombres de campos internos)
+ * @param {object} definition - Definición de la encuesta
+ * @returns {object}
+ */
+function toForm(definition) {
+  return {
+    id: definition.id,
+    wave: definition.wave.value,
+    title: definition.title,
+    intro: definition.intro,
+    questions: definition.questions.map(q => ({
+      id: q.id,
+      text: q.text,
+      type: q.type,
+      required: !!q.required,
+      min_words: q.min_words,
+      max_length: q.max_length,
+      options: optionsFor(definition, q)
+    }))
+  };
+}
+
+/**
+ * Convertir las respuestas recibidas a las propiedades cust_* de SuccessFactors
+ * @param {object} definition - Definición de la encuesta
+ * @param {object} data - Respuestas (q1, q2, ..., comments)
+ * @returns {object} - Propiedades para el upsert
+ */
+function toSuccessFactors(definition, data) {
+  const fields = {
+    [definition.wave.field]: definition.wave.value
+  };
+  definition.questions.forEach(q => {
+    const value = data[q.id];
+    if (q.type === TYPES.YES_NO) {
+      fields[q.field] = value === 'true' || value === true;
+    } else if (value !== undefined && value !== '') {
+      fields[q.field] = value;
+    }
+  });
+  return fields;
+}
+
+module.exports = {
+  TYPES,
+  load,
+  exists,
+  list,
+  eligible,
+  optionsFor,
+  toForm,
+  toSuccessFactors,
+};
@@ -0,0 +1,19 @@
+// Tema visual del reporte: lo comparten las gráficas SVG (charts.js) y las vistas de src/views
+// Los colores de sentimiento coinciden con .POSITIVE/.NEGATIVE/.NEUTRAL de public/css/pdf_new.css
+const THEME = {
+  font: 'Helvetica, Arial, sans-serif',
+  text: '#323232',
+  grid: '#d0d0d0',
+  positive: 'green',
+  negative: 'red',
+  neutral: 'gray',
+  emotions: {
+    sadness: '#3b73b9',
+    joy: '#f0ad1c',
+    fear: '#7d5ba6',
+    disgust: '#5a9e46',
+    anger: '#d0021b'
+  }
+};
+
+module.exports = THEME;
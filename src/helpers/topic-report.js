@@ -0,0 +1,202 @@
+const _ = require('lodash');
+const moment = require('moment-timezone');
+const catalog = require('../services/analysis/topics/es.json');
+const analysis = require('../services/analysis');
+const i18n = require('../i18n');
+const queue = require('./submission-queue');
+const logger = require('./logger');
+
+// Los periodos se interpretan en hora de México, igual que el tablero y el reporte semanal
+const TIMEZONE = 'America/Mexico_City';
+// Periodo por omisión: los últimos 30 días
+const DEFAULT_DAYS = 30;
+// Citas por tema y temas en el ranking de negativos
+const MAX_QUOTES = 3;
+const MAX_RANKED = 10;
+const MAX_QUOTE_LENGTH = 300;
+
+// Minúsculas, sin acentos y con espacios simples, para comparar temas
+function normalize(text) {
+  return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+const THEMES = catalog.themes.map(theme => Object.assign({}, theme, { terms: theme.terms.map(normalize) }));
+
+/**
+ * Tema al que pertenece una palabra clave o entidad: el del catálogo si contiene alguno de sus términos
+ * (p. ej. "computadora de trabajo" y "equipo de cómputo"), o el propio texto normalizado
+ * @param {string} text - Texto de la palabra clave o entidad
+ * @param {string} [locale] - Idioma del nombre del tema (topics.themes en src/i18n)
+ * @returns {object} - { id, label } (label es null si no está en el catálogo)
+ */
+function themeOf(text, locale) {
+  const normalized = normalize(text);
+  const theme = THEMES.find(t => t.terms.some(term => ` ${normalized} `.includes(` ${term} `)));
+  return theme ? { id: theme.id, label: i18n.translate(locale, `topics.themes.${theme.id}`) } : { id: normalized, label: null };
+}
+
+// Oraciones del comentario que mencionan alguno de los textos
+function quotesFor(comment, texts) {
+  const wanted = texts.map(normalize);
+  return String(comment)
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => wanted.some(text => normalize(sentence).includes(text)))
+    .map(sentence => (sentence.length > MAX_QUOTE_LENGTH ? sentence.slice(0, MAX_QUOTE_LENGTH - 1) + '…' : sentence));
+}
+
+/**
+ * Agrupar las palabras clave y entidades de varios comentarios por tema
+ * @param {Array<object>} items - [{ comment, analysis }] con el análisis normalizado de src/services/analysis
+ * @param {string} [locale] - Idioma de los nombres de los temas
+ * @returns {Array<object>} - Temas { id, label, terms, mentions, negative, positive, sentiment, quotes },
+ *   ordenados por número de comentarios que los mencionan
+ */
+function aggregate(items, locale) {
+  const groups = {};
+
+  items.forEach(({ comment, analysis }) => {
+    const topics = _.uniqBy([...(analysis.entities || []), ...(analysis.keywords || [])], v => normalize(v.text))
+      .filter(v => v.sentiment);
+
+    // Un comentario cuenta una vez por tema, con el sentimiento promedio (por relevancia) de sus menciones
+    _.forEach(_.groupBy(topics, v => themeOf(v.text).id), (mentions, id) => {
+      const weight = v => (typeof v.relevance === 'number' && v.relevance > 0 ? v.relevance : 1);
+      const score = _.sumBy(mentions, v => v.sentiment.score * weight(v)) / _.sumBy(mentions, weight);
+      const group = groups[id] || (groups[id] = { id, label: themeOf(mentions[0].text, locale).label, texts: [], scores: [], quotes: [] });
+
+      group.texts.push(...mentions.map(v => v.text));
+      group.scores.push(score);
+      group.quotes.push(...quotesFor(comment, mentions.map(v => v.text)).map(text => ({ text, score })));
+    });
+  });
+
+  const themes = Object.values(groups).map(group => ({
+    id: group.id,
+    // Sin tema en el catálogo se usa la forma más frecuente del texto
+    label: group.label || _.maxBy(Object.entries(_.countBy(group.texts)), ([, count]) => count)[0],
+    terms: _.uniqBy(group.texts, normalize),
+    mentions: group.scores.length,
+    negative: group.scores.filter(score => score < 0).length,
+    positive: group.scores.filter(score => score > 0).length,
+    sentiment: Math.round(_.mean(group.scores) * 100) / 100,
+    // Las citas más negativas primero
+    quotes: _.uniqBy(_.sortBy(group.quotes, 'score'), 'text').slice(0, MAX_QUOTES).map(quote => quote.text)
+  }));
+
+  return _.orderBy(themes, ['mentions', 'sentiment'], ['desc', 'asc']);
+}
+
+/**
+ * Temas con menciones negativas, del más negativo al menos negativo
+ * @param {Array<object>} themes - Resultado de aggregate
+ * @returns {Array<object>}
+ */
+function rankNegative(themes) {
+  return _.orderBy(themes.filter(theme => theme.negative > 0), ['sentiment', 'negative'], ['asc', 'desc']).slice(0, MAX_RANKED);
+}
+
+/**
+ * Periodo del reporte a partir de fechas YYYY-MM-DD (ambas incluidas)
+ * @param {object} query - { from, to }
+ * @returns {object} - { from, to } como momentos en hora de México
+ * @throws {Error} - code INVALID_PERIOD si las fechas no son válidas
+ */
+function periodOf(query = {}) {
+  const parse = value => moment.tz(String(value), 'YYYY-MM-DD', true, TIMEZONE);
+  const to = query.to ? parse(query.to) : moment.tz(TIMEZONE);
+  const from = query.from ? parse(query.from) : to.clone().subtract(DEFAULT_DAYS - 1, 'days');
+
+  if (!from.isValid() || !to.isValid() || from.isAfter(to)) {
+    const error = new Error('Periodo inválido: use from y to con formato YYYY-MM-DD');
+    error.code = 'INVALID_PERIOD';
+    throw error;
+  }
+  return { from: from.startOf('day'), to: to.endOf('day') };
+}
+
+// Envíos recibidos en el periodo
+function submissionsIn(period) {
+  return queue.list(s => moment(s.created_at).isBetween(period.from, period.to, null, '[]'));
+}
+
+/**
+ * Análisis de texto guardado en un envío: el del PDF (submission.analysis) o el que dejó analyzePending
+ * @param {object} submission - Envío persistido en la cola
+ * @returns {object|null} - Análisis normalizado de src/services/analysis, o null si aún no tiene
+ */
+function cachedAnalysis(submission) {
+  return (submission.analysis && submission.analysis.analysis) || submission.text_analysis || null;
+}
+
+/**
+ * Analizar los comentarios del periodo que aún no tienen análisis guardado (bin/onb analyze).
+ * Sólo se llama al proveedor de análisis de texto, de uno en uno para no saturarlo; el perfil de
+ * personalidad no se necesita para los temas. Los envíos pendientes o en proceso los analiza el worker.
+ * @param {object} [query] - { from, to } en formato YYYY-MM-DD
+ * @returns {Promise<object>} - { period, analyzed, failed }
+ * @throws {Error} - code INVALID_PERIOD si las fechas no son válidas
+ */
+async function analyzePending(query = {}) {
+  const period = periodOf(query);
+  const done = [queue.STATUS.COMPLETED, queue.STATUS.FAILED];
+  const submissions = submissionsIn(period).filter(s => done.includes(s.status) && !cachedAnalysis(s));
+
+  let analyzed = 0;
+  let failed = 0;
+  for (const submission of submissions) {
+    try {
+      queue.update(submission.id, { text_analysis: await analysis.analyze(submission.data.comments) });
+      analyzed++;
+    } catch (error) {
+      failed++;
+      logger.logAction('WARN_TOPICS_ANALYSIS', 'No se pudo analizar el comentario para el análisis por temas', 'topic-report.js:analyzePending', {
+        submission_id: submission.id,
+        message: error.message
+      });
+    }
+  }
+
+  return { period: { from: period.from.format('YYYY-MM-DD'), to: period.to.format('YYYY-MM-DD') }, analyzed, failed };
+}
+
+/**
+ * Análisis por temas de los comentarios recibidos en un periodo. Sólo usa el análisis ya guardado en
+ * cada envío, sin llamar a los proveedores; los comentarios sin análisis se cuentan como pendientes.
+ * @param {object} [query] - { from, to } en formato YYYY-MM-DD
+ * @param {string} [locale] - Idioma de los nombres de los temas
+ * @returns {object} - { period, comments, pending, themes, negative }
+ * @throws {Error} - code INVALID_PERIOD si las fechas no son válidas
+ */
+function build(query = {}, locale) {
+  const period = periodOf(query);
+
+  const items = [];
+  let pending = 0;
+  submissionsIn(period).forEach(submission => {
+    const cached = cachedAnalysis(submission);
+    if (cached) {
+      items.push({ comment: submission.data.comments, analysis: cached });
+    } else {
+      pending++;
+    }
+  });
+
+  const themes = aggregate(items, locale);
+  return {
+    period: { from: period.from.format('YYYY-MM-DD'), to: period.to.format('YYYY-MM-DD') },
+    comments: items.length,
+    pending,
+    themes,
+    negative: rankNegative(themes)
+  };
+}
+
+module.exports = {
+  themeOf,
+  aggregate,
+  rankNegative,
+  periodOf,
+  analyzePending,
+  build,
+};
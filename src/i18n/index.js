@@ -0,0 +1,72 @@
+const _ = require('lodash');
+const config = require('../config');
+
+// Catálogos de textos por idioma; el español es el idioma base y el respaldo de cualquier clave faltante
+const catalogs = {
+  es: require('./es.json'),
+  en: require('./en.json')
+};
+
+const DEFAULT_LOCALE = 'es';
+const LOCALES = Object.keys(catalogs);
+
+/**
+ * Idioma soportado más cercano al solicitado ('en-US' -> 'en')
+ * @param {string} [locale] - Idioma solicitado
+ * @returns {string} - Idioma de LOCALES; REPORT_LOCALE o 'es' si no se reconoce
+ */
+function resolve(locale) {
+  const candidates = [locale, config.reportLocale];
+  for (const candidate of candidates) {
+    const base = String(candidate || '').toLowerCase().split(/[-_]/)[0];
+    if (catalogs[base]) {
+      return base;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Texto de un catálogo, con {variables} sustituidas
+ * @param {string} locale - Idioma
+ * @param {string} key - Ruta de la clave (p. ej. 'report.needs'); puede apuntar a un grupo de textos
+ * @param {object} [values] - Valores para las variables
+ * @returns {string|object} - Texto traducido, o la clave si no existe en ningún catálogo
+ */
+function translate(locale, key, values) {
+  const text = _.get(catalogs[resolve(locale)], key, _.get(catalogs[DEFAULT_LOCALE], key, key));
+  if (typeof text !== 'string' || !values) {
+    return text;
+  }
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+/**
+ * Función de traducción para un idioma: t('report.needs'), t('email.weekly.generatedAt', { date })
+ * @param {string} [locale] - Idioma
+ * @returns {function} - t(key, values), con t.locale
+ */
+function translator(locale) {
+  const resolved = resolve(locale);
+  const t = (key, values) => translate(resolved, key, values);
+  t.locale = resolved;
+  return t;
+}
+
+/**
+ * Idioma de una petición HTTP: ?locale=en, o el encabezado Accept-Language
+ * @param {object} req - Solicitud de Express
+ * @returns {string} - Idioma de LOCALES
+ */
+function fromRequest(req) {
+  return resolve(req.query.locale || req.acceptsLanguages(...LOCALES) || undefined);
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  resolve,
+  translate,
+  translator,
+  fromRequest,
+};
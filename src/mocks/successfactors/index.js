@@ -0,0 +1,281 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const bodyParser = require('body-parser');
+
+/**
+ * Servidor OData simulado de SuccessFactors para desarrollo y pruebas.
+ * Implementa lo que usa src/services/api_successfactors.js:
+ *
+ *   GET  <base>/PerPerson        ($filter, $expand, $select, $top)
+ *   GET  <base>/cust_Claves_ONB  ($filter, $top)
+ *   POST <base>/upsert           (Attachment y cust_Claves_ONB, con httpCode por registro)
+ *
+ * Se ejecuta con `npm run mock:sf` y la app se apunta a él con
+ * API_SUCCESSF_URL=http://localhost:4010/odata/v2/
+ */
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixture.json');
+const BASE_PATH = '/odata/v2';
+
+/**
+ * Interpretar un $filter de OData v2 (eq/ne, and/or, paréntesis y literales)
+ * @param {string} expression - Expresión recibida en $filter
+ * @returns {function} - Predicado que recibe un registro
+ */
+function parseFilter(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\()|(\))|'((?:[^']|'')*)'|([A-Za-z_][A-Za-z0-9_\/]*)|(-?\d+(?:\.\d+)?))/y;
+  let match;
+  while (pattern.lastIndex < expression.length && (match = pattern.exec(expression))) {
+    if (match[1]) tokens.push({ type: '(' });
+    else if (match[2]) tokens.push({ type: ')' });
+    else if (match[3] !== undefined) tokens.push({ type: 'literal', value: match[3].replace(/''/g, "'") });
+    else if (match[4] === 'null') tokens.push({ type: 'literal', value: null });
+    else if (match[4] === 'true' || match[4] === 'false') tokens.push({ type: 'literal', value: match[4] === 'true' });
+    else if (match[4]) tokens.push({ type: 'word', value: match[4] });
+    else tokens.push({ type: 'literal', value: Number(match[5]) });
+  }
+  if (expression.slice(pattern.lastIndex).trim() !== '') {
+    throw new Error(`$filter inválido cerca de: ${expression.slice(pattern.lastIndex)}`);
+  }
+
+  let position = 0;
+  const peek = () => tokens[position] || {};
+  const next = () => tokens[position++] || {};
+  const keyword = word => peek().type === 'word' && peek().value === word;
+
+  function comparison() {
+    if (peek().type === '(') {
+      next();
+      const inner = disjunction();
+      if (next().type !== ')') throw new Error('$filter inválido: falta ")"');
+      return inner;
+    }
+    const field = next();
+    const operator = next();
+    const literal = next();
+    if (field.type !== 'word' || operator.type !== 'word' || !['eq', 'ne'].includes(operator.value) || literal.type !== 'literal') {
+      throw new Error('$filter inválido: se esperaba "<campo> eq|ne <literal>"');
+    }
+    const matches = record => valuesAt(record, field.value.split('/')).some(value => value === literal.value);
+    return operator.value === 'eq' ? matches : record => !matches(record);
+  }
+
+  function conjunction() {
+    let left = comparison();
+    while (keyword('and')) {
+      next();
+      const a = left, b = comparison();
+      left = record => a(record) && b(record);
+    }
+    return left;
+  }
+
+  function disjunction() {
+    let left = conjunction();
+    while (keyword('or')) {
+      next();
+      const a = left, b = conjunction();
+      left = record => a(record) || b(record);
+    }
+    return left;
+  }
+
+  const predicate = disjunction();
+  if (position < tokens.length) {
+    throw new Error('$filter inválido: sobran elementos');
+  }
+  return predicate;
+}
+
+// Valores de una ruta (campo o navegación); una navegación a muchos coincide si alguno coincide
+function valuesAt(value, segments) {
+  if (segments.length === 0) {
+    return [value === undefined ? null : value];
+  }
+  if (Array.isArray(value)) {
+    return value.reduce((all, item) => all.concat(valuesAt(item, segments)), []);
+  }
+  if (value === null || value === undefined) {
+    return [null];
+  }
+  return valuesAt(value[segments[0]], segments.slice(1));
+}
+
+// Fecha en formato /Date(ms)/; en el fixture se admite una fecha ISO o { "days_ago": n }
+function toODataDate(value) {
+  if (value && typeof value === 'object' && value.days_ago !== undefined) {
+    const date = new Date();
+    date.setUTCHours(0, 0, 0, 0);
+    return `/Date(${date.getTime() - value.days_ago * 24 * 60 * 60 * 1000})/`;
+  }
+  return `/Date(${new Date(value).getTime()})/`;
+}
+
+// Representar una persona como la devuelve SuccessFactors (navegaciones dentro de "results")
+function toPerPerson(person) {
+  return {
+    __metadata: { uri: `PerPerson('${person.personIdExternal}')`, type: 'SFOData.PerPerson' },
+    personIdExternal: person.personIdExternal,
+    personalInfoNav: { results: person.personalInfoNav || [] },
+    employmentNav: {
+      results: (person.employmentNav || []).map(e => Object.assign({}, e, {
+        startDate: toODataDate(e.startDate),
+        jobInfoNav: { results: e.jobInfoNav || [] }
+      }))
+    }
+  };
+}
+
+// Llaves de un registro a partir de su __metadata.uri, p. ej. cust_Claves_ONB(externalCode='1',...)
+function parseKeys(uri) {
+  const match = /^(\w+)(?:\((.*)\))?$/.exec(uri || '');
+  if (!match) {
+    return null;
+  }
+  const keys = {};
+  const pattern = /(\w+)=(?:datetime)?'((?:[^']|'')*)'/g;
+  let key;
+  while ((key = pattern.exec(match[2] || ''))) {
+    keys[key[1]] = key[2].replace(/''/g, "'");
+  }
+  return { entity: match[1], keys };
+}
+
+/**
+ * Crear la aplicación del servidor simulado
+ * @param {object} [seed] - Datos iniciales (por omisión se lee MOCK_SF_FIXTURE o fixture.json)
+ * @returns {object} - Aplicación de Express; app.locals.db contiene el estado y app.locals.reset(seed) lo reinicia
+ */
+function createMockServer(seed) {
+  const app = express();
+  app.use(bodyParser.json({ limit: '20mb' }));
+
+  app.locals.reset = (data = loadFixture()) => {
+    const copy = JSON.parse(JSON.stringify(data));
+    app.locals.db = {
+      people: copy.people || [],
+      cust_Claves_ONB: copy.cust_Claves_ONB || [],
+      attachments: [],
+      // Respuestas forzadas: { "PerPerson": 500 } o reglas por registro en "upsert"
+      failures: Object.assign({ PerPerson: null, cust_Claves_ONB: null, upsert: null, records: [] }, copy.failures)
+    };
+  };
+  app.locals.reset(seed);
+
+  const db = () => app.locals.db;
+
+  // Simular una falla HTTP completa de la entidad, o un corte de conexión con "disconnect"
+  function forcedFailure(entity, res) {
+    const status = db().failures[entity];
+    if (!status) {
+      return false;
+    }
+    if (status === 'disconnect') {
+      res.socket.destroy();
+      return true;
+    }
+    res.status(status).json({ error: { code: 'MOCK_FAILURE', message: { lang: 'en-US', value: `Falla simulada de ${entity}` } } });
+    return true;
+  }
+
+  // Aplicar $filter y $top; el filtro se evalúa sobre los datos internos (navegaciones como arreglos)
+  function query(records, req, res, shape = record => record) {
+    let results;
+    try {
+      results = req.query.$filter ? records.filter(parseFilter(req.query.$filter)) : records.slice();
+    } catch (error) {
+      return res.status(400).json({ error: { code: 'COE_GENERAL_BAD_REQUEST', message: { lang: 'en-US', value: error.message } } });
+    }
+    if (req.query.$top) {
+      results = results.slice(0, parseInt(req.query.$top, 10));
+    }
+    return res.json({ d: { results: results.map(shape) } });
+  }
+
+  app.get(BASE_PATH + '/PerPerson', (req, res) => {
+    if (forcedFailure('PerPerson', res)) return;
+    return query(db().people, req, res, toPerPerson);
+  });
+
+  app.get(BASE_PATH + '/cust_Claves_ONB', (req, res) => {
+    if (forcedFailure('cust_Claves_ONB', res)) return;
+    return query(db().cust_Claves_ONB, req, res);
+  });
+
+  app.post(BASE_PATH + '/upsert', (req, res) => {
+    if (forcedFailure('upsert', res)) return;
+
+    const records = Array.isArray(req.body) ? req.body : [req.body];
+    const d = records.map((record, index) => {
+      const target = parseKeys(record.__metadata && record.__metadata.uri);
+      const rule = db().failures.records.find(r =>
+        target && r.entity === target.entity &&
+        Object.keys(r.match || {}).every(field => (target.keys[field] !== undefined ? target.keys[field] : record[field]) === r.match[field]));
+
+      if (!target || rule) {
+        return {
+          key: null,
+          status: 'ERROR',
+          editStatus: null,
+          message: rule ? rule.message || 'Falla simulada' : 'Falta __metadata.uri',
+          index,
+          httpCode: rule ? rule.httpCode : 400,
+          inlineResults: null
+        };
+      }
+
+      if (target.entity === 'Attachment') {
+        const attachmentId = String(1000 + db().attachments.length + 1);
+        db().attachments.push(Object.assign({ attachmentId }, record));
+        return { key: `Attachment/attachmentId=${attachmentId}`, status: 'OK', editStatus: 'INSERTED', message: null, index, httpCode: 200, inlineResults: null };
+      }
+
+      if (target.entity === 'cust_Claves_ONB') {
+        const fields = Object.assign({}, target.keys, record);
+        delete fields.__metadata;
+        const existing = db().cust_Claves_ONB.findIndex(r =>
+          r.externalCode === fields.externalCode && r.effectiveStartDate === fields.effectiveStartDate);
+        if (existing >= 0) {
+          db().cust_Claves_ONB[existing] = fields;
+        } else {
+          db().cust_Claves_ONB.push(fields);
+        }
+        return {
+          key: `cust_Claves_ONB/effectiveStartDate=${fields.effectiveStartDate},cust_Claves_ONB/externalCode=${fields.externalCode}`,
+          status: 'OK',
+          editStatus: existing >= 0 ? 'UPDATED' : 'INSERTED',
+          message: null,
+          index,
+          httpCode: 200,
+          inlineResults: null
+        };
+      }
+
+      return { key: null, status: 'ERROR', editStatus: null, message: `Entidad no soportada: ${target.entity}`, index, httpCode: 400, inlineResults: null };
+    });
+
+    res.json({ d });
+  });
+
+  return app;
+}
+
+function loadFixture() {
+  return JSON.parse(fs.readFileSync(process.env.MOCK_SF_FIXTURE || DEFAULT_FIXTURE, 'utf8'));
+}
+
+module.exports = {
+  BASE_PATH,
+  createMockServer,
+  parseFilter,
+};
+
+// Ejecución directa: npm run mock:sf
+if (require.main === module) {
+  const port = process.env.MOCK_SF_PORT || 4010;
+  createMockServer().listen(port, () => {
+    console.log(`🧪 SuccessFactors simulado en http://localhost:${port}${BASE_PATH}/`);
+  });
+}
@@ -0,0 +1,43 @@
+const auth = require("../auth");
+const logger = require('../helpers/logger');
+
+/**
+ * Emitir un token firmado a un usuario local (usuario y contraseña de AUTH_USERS_FILE)
+ * @param {object} req - Solicitud HTTP (body: username, password)
+ * @param {object} res - Respuesta HTTP
+ */
+exports.token = async (req, res) => {
+  const { username, password } = req.body || {};
+  let user = null;
+  try {
+    user = username && password ? await auth.login(req.ip, String(username), String(password)) : null;
+  } catch (error) {
+    if (error.code !== 'AUTH_THROTTLED') {
+      throw error;
+    }
+    return auth.rejectThrottled(req, res, error.retryAfter);
+  }
+
+  if (!user) {
+    logger.logAction('WARN_AUTH', 'Usuario o contraseña incorrectos', 'auth.js:token', {
+      username: username || null,
+      ip: req.ip
+    });
+    return res.status(401).json({
+      message: 'Usuario o contraseña incorrectos.'
+    });
+  }
+
+  const token = auth.tokens.create({ sub: user.id, roles: user.roles });
+
+  logger.logAction('INFO_AUTH_TOKEN', 'Token emitido', 'auth.js:token', {
+    user: user.id,
+    roles: user.roles
+  });
+
+  return res.json({
+    token,
+    roles: user.roles,
+    expires_at: new Date(auth.tokens.verify(token).exp * 1000).toISOString()
+  });
+};
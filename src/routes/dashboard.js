@@ -0,0 +1,30 @@
+const dashboard = require("../helpers/dashboard");
+const pdfTemplate = require("../helpers/pdf-template");
+const i18n = require("../i18n");
+const logger = require('../helpers/logger');
+
+/**
+ * Indicadores del tablero en JSON
+ * @param {object} req - Solicitud HTTP (query: department, cohort, survey)
+ * @param {object} res - Respuesta HTTP
+ */
+exports.api = async (req, res) => {
+  res.json(dashboard.build(req.query));
+};
+
+/**
+ * Tablero en HTML, con los mismos indicadores que la API
+ * @param {object} req - Solicitud HTTP (query: department, cohort, survey, locale)
+ * @param {object} res - Respuesta HTTP
+ */
+exports.page = async (req, res) => {
+  const data = dashboard.build(req.query);
+  const t = i18n.translator(i18n.fromRequest(req));
+
+  logger.logAction('INFO_DASHBOARD', 'Consulta del tablero', 'dashboard.js:page', {
+    user: req.user.id,
+    filters: data.filters
+  });
+
+  res.type('html').send(pdfTemplate.render('dashboard', Object.assign({ t, locale: t.locale }, data)));
+};
@@ -1,11 +1,14 @@
-const fs = require('fs');
-const zlib = require('zlib');
-const convertCsvToXlsx = require('@aternus/csv-to-xlsx');
 const api_successfactors = require("../services/api_successfactors");
-const api_pi = require("../services/api_personality");
 const pi = require("../helpers/personality-insights");
+const charts = require("../helpers/charts");
+const i18n = require("../i18n");
+const auth = require("../auth");
 const moment = require('moment');
 const logger = require('../helpers/logger');
+const queue = require('../helpers/submission-queue');
+const responses = require('../helpers/response-store');
+const survey = require('../helpers/survey');
+const _ = require('lodash');
 
 /**
  * Buscar un usuario por CURP y verificar la disponibilidad de la encuesta
@@ -15,16 +18,13 @@ exports.search = async (req, res) => {
     const curp = req.body.curp;
     logger.logAction('INFO_SEARCH_START', 'Iniciando búsqueda de CURP', 'estafeta.js:search', { curp });
     
-    // Construir filtro para la consulta a la API
-    const filter = `nationalIdNav/cardType eq 'PR' and nationalIdNav/nationalId eq '${curp}'`;
-    
     // Verificar si la función existe antes de llamarla
     if (typeof api_successfactors.getPersonIdExt !== 'function') {
       throw new Error('La función getPersonIdExt no está definida en el módulo api_successfactors');
     }
     
     // Obtener información de la persona por CURP
-    const personResponse = await api_successfactors.getPersonIdExt(filter);
+    const personResponse = await api_successfactors.getPersonIdExt(curp);
     
     if (personResponse.status !== 200) {
       logger.logAction('ERR_001', 'Error en búsqueda de CURP', 'estafeta.js:search', { 
@@ -49,31 +49,61 @@ exports.search = async (req, res) => {
     // Extraer información del usuario
     const external_code = results[0].personIdExternal;
     const full_name = results[0].personalInfoNav.results[0].displayName;
+    const hire_date = hireDateOf(results[0]);
 
     logger.logAction('INFO_CURP_FOUND', 'CURP encontrado, verificando disponibilidad de encuesta', 'estafeta.js:search', { 
       external_code,
       full_name,
+      hire_date,
       curp
     });
 
-    // Verificar si el usuario ya ha respondido la encuesta
-    const surveyResponse = await api_successfactors.getOnbKeys(external_code);
-    
-    if (surveyResponse.status !== 200) {
-      logger.logAction('ERR_003', 'Error al verificar disponibilidad de encuesta', 'estafeta.js:search', { 
-        status: surveyResponse.status,
+    // Olas de encuesta (30, 90 días...) cuya ventana incluye la fecha de ingreso
+    const waves = survey.eligible(hire_date);
+    if (waves.length === 0) {
+      logger.logAction('ERR_013', 'Sin encuesta disponible para la fecha de ingreso', 'estafeta.js:search', { 
         external_code,
+        hire_date,
         curp
       });
       return res.status(422).json({
-        message: 'Ocurrio un problema con la busqueda, intentalo nuevamente.'
+        message: 'Por el momento no hay una encuesta disponible para ti.'
       });
     }
+
+    // Tomar la primera ola que el usuario aún no ha respondido
+    let available = null;
+    for (const definition of waves) {
+      const surveyResponse = await api_successfactors.getOnbKeys(external_code, definition.wave);
+      
+      if (surveyResponse.status !== 200) {
+        logger.logAction('ERR_003', 'Error al verificar disponibilidad de encuesta', 'estafeta.js:search', { 
+          status: surveyResponse.status,
+          survey: definition.id,
+          external_code,
+          curp
+        });
+        return res.status(422).json({
+          message: 'Ocurrio un problema con la busqueda, intentalo nuevamente.'
+        });
+      }
+
+      // Una encuesta enviada que aún se procesa en la cola todavía no aparece en cust_Claves_ONB
+      const pending = queue.findByExternalCode(external_code, definition.id);
+      const answered = surveyResponse.data.d.results.length > 0 ||
+        (pending && pending.status !== queue.STATUS.FAILED);
+
+      if (!answered) {
+        available = definition;
+        break;
+      }
+    }
     
     // Verificar si la encuesta ya fue respondida
-    if (surveyResponse.data.d.results.length > 0) {
+    if (!available) {
       logger.logAction('ERR_004', 'Encuesta ya contestada', 'estafeta.js:search', { 
         external_code,
+        surveys: waves.map(d => d.id),
         curp
       });
       return res.status(422).json({
@@ -85,6 +115,7 @@ exports.search = async (req, res) => {
     logger.logAction('INFO_SURVEY_AVAILABLE', 'Encuesta disponible para contestar', 'estafeta.js:search', { 
       external_code,
       full_name,
+      survey: available.id,
       curp
     });
 
@@ -92,6 +123,10 @@ exports.search = async (req, res) => {
       message: 'Encontrado!',
       external_code,
       full_name,
+      survey: available.id,
+      // Credencial del empleado para obtener, enviar y consultar su encuesta; lleva firmados
+      // los datos con que sus respuestas se agrupan en el tablero
+      token: auth.employeeToken(external_code, { hire_date, department: departmentOf(results[0]) }),
     });
   } catch (error) {
   logger.logAction(
@@ -112,192 +147,338 @@ exports.search = async (req, res) => {
 };
 
 /**
- * Almacenar las respuestas de la encuesta y los archivos asociados
+ * Recibir la encuesta y persistirla en la cola para su procesamiento en segundo plano
  */
 exports.store = async (req, res) => {
   try {
     const external_code = req.body.external_code;
+
+    // El token de un empleado sólo le permite enviar su propia encuesta
+    if (!auth.canAccess(req.user, external_code)) {
+      logger.logAction('WARN_FORBIDDEN', 'Encuesta enviada con la credencial de otro empleado', 'estafeta.js:store', { 
+        user: req.user.id,
+        external_code
+      });
+      return res.status(403).json({
+        message: 'No tienes permiso para realizar esta acción.'
+      });
+    }
     
     logger.logAction('INFO_STORE_START', 'Iniciando guardado de encuesta', 'estafeta.js:store', { 
       external_code,
       comment_length: req.body.comments.length
     });
 
-    const host = req.protocol + "://" + req.headers.host;
-    
-    logger.logAction('INFO_ATTACHMENT_START', 'Iniciando guardado de adjunto', 'estafeta.js:store', { 
-      host,
-      external_code
-    });
-    
-    // Almacenar archivo adjunto (PDF con los detalles de personalidad)
-
-    let attachmentResult;
+    // Persistir antes de responder para no perder las respuestas si algún servicio falla
+    let enqueued;
     try {
-      attachmentResult = await storeAttachment(req.body.comments, host);
+      // El área y la fecha de ingreso se guardan en el tablero cuando el envío llega a SuccessFactors
+      enqueued = queue.enqueue(req.body, {
+        survey: req.body.survey,
+        employee: _.pick(req.user.employee || {}, ['hire_date', 'department'])
+      });
     } catch (error) {
-      logger.logAction('ERR_050', 'Error crítico al crear adjunto', 'estafeta.js:store', { 
-        message: error.message,
-        stack: error.stack,
+      if (error.code !== 'DUPLICATE_SUBMISSION') {
+        throw error;
+      }
+      logger.logAction('ERR_012', 'Encuesta duplicada', 'estafeta.js:store', { 
+        submission_id: req.body.submission_id,
+        survey: req.body.survey,
+        existing_submission_id: error.submission_id,
         external_code
       });
-      return res.status(422).json({
-        message: 'Ocurrio un problema al procesar la encuesta, intentelo nuevamente!'
+      return res.status(409).json({
+        message: 'La encuesta para este CURP ya fue contestada.'
       });
     }
 
-    // Validar la respuesta del almacenamiento del archivo adjunto
-    if (attachmentResult.status !== 200) {
-      logger.logAction('ERR_005', 'Error al guardar adjunto (1)', 'estafeta.js:store', { 
-        status: attachmentResult.status,
-        external_code
-      });
-      return res.status(422).json({
-        message: 'Ocurrio un problema al guardar la encuesta (1), intentelo nuevamente!'
-      });
-    }
-    
-    if (attachmentResult.data.d[0].httpCode !== 200) {
-      logger.logAction('ERR_006', 'Error al guardar adjunto (2)', 'estafeta.js:store', { 
-        httpCode: attachmentResult.data.d[0].httpCode,
+    // Reenviar el mismo submission_id (p. ej. tras un corte de red) devuelve el envío original
+    const submission = enqueued.submission;
+
+    logger.logAction(enqueued.created ? 'INFO_SUBMISSION_QUEUED' : 'INFO_SUBMISSION_REPLAYED',
+      enqueued.created ? 'Encuesta recibida y en cola de procesamiento' : 'Encuesta ya recibida previamente',
+      'estafeta.js:store', { 
+        submission_id: submission.id,
+        status: submission.status,
         external_code
       });
-      return res.status(422).json({
-        message: 'Ocurrio un problema al guardar la encuesta (2), intentelo más tarde!'
-      });
-    }
 
-    // Extraer el ID del archivo adjunto de la respuesta
-    const attachment_id = attachmentResult.data.d[0].key.split("/", 2)[1];
+    return res.status(202).json({
+      message: 'Encuesta recibida, estamos procesando tus respuestas.',
+      submission_id: submission.id,
+      status: submission.status
+    });
+  } catch (error) {
+    logger.logAction('ERR_COMM_FAILURE', 'Error no controlado en guardado de encuesta', 'estafeta.js:store', { 
+      message: error.message,
+      stack: error.stack,
+      external_code: req.body?.external_code || 'No disponible'
+    });
     
-    logger.logAction('INFO_ATTACHMENT_SUCCESS', 'Adjunto guardado exitosamente', 'estafeta.js:store', { 
+    return res.status(500).json({
+      message: 'Ocurrió un error inesperado al procesar tu solicitud. Por favor intenta nuevamente más tarde.',
+      success: false
+    });
+  }
+};
+
+/**
+ * Obtener la definición de una encuesta (ola) para construir el formulario
+ */
+exports.survey = async (req, res) => {
+  if (!survey.exists(req.params.id)) {
+    return res.status(404).json({
+      message: 'No se encontró la encuesta solicitada.'
+    });
+  }
+  return res.json(survey.toForm(survey.load(req.params.id)));
+};
+
+/**
+ * Consultar el estado de una encuesta enviada
+ */
+exports.status = async (req, res) => {
+  const submission = queue.get(req.params.id);
+
+  // A un empleado sólo se le informa el estado de su propia encuesta
+  if (!submission || !auth.canAccess(req.user, submission.external_code)) {
+    return res.status(404).json({
+      message: 'No se encontró la encuesta solicitada.'
+    });
+  }
+
+  const messages = {
+    [queue.STATUS.PENDING]: 'Tu encuesta está en proceso.',
+    [queue.STATUS.PROCESSING]: 'Tu encuesta está en proceso.',
+    [queue.STATUS.COMPLETED]: 'Encuesta enviada correctamente, gracias por tu colaboración!',
+    [queue.STATUS.FAILED]: 'Ocurrio un problema al guardar la encuesta, intentelo más tarde!'
+  };
+
+  return res.json({
+    submission_id: submission.id,
+    status: submission.status,
+    attempts: submission.attempts,
+    message: messages[submission.status]
+  });
+};
+
+/**
+ * Gráfica SVG del análisis guardado en un envío, para verla o incrustarla fuera del PDF
+ * @param {object} req - Solicitud HTTP (params: id, chart; query: topic para el radar, locale)
+ * @param {object} res - Respuesta HTTP
+ */
+exports.chart = async (req, res) => {
+  const submission = queue.get(req.params.id);
+
+  if (!submission || !submission.analysis) {
+    return res.status(404).json({
+      message: 'La encuesta solicitada aún no tiene análisis.'
+    });
+  }
+
+  const svg = charts.fromAnalysis(req.params.chart, submission.analysis.analysis, {
+    topic: req.query.topic,
+    locale: i18n.fromRequest(req)
+  });
+  if (!svg) {
+    return res.status(404).json({
+      message: 'Gráfica no disponible.'
+    });
+  }
+
+  res.type('image/svg+xml').send(svg);
+};
+
+/**
+ * Procesar una encuesta de la cola en dos fases: adjunto (PDF) y respuestas.
+ * Lo invoca el worker de la cola; un resultado sin éxito se reintenta con backoff
+ * y el avance de cada fase queda registrado en el envío para reanudar sin duplicar.
+ * @param {object} submission - Envío persistido en la cola
+ * @returns {Promise<object>} - { success, code, message }
+ */
+exports.processSubmission = async (submission) => {
+  const external_code = submission.external_code;
+  const data = submission.data;
+
+  // Fase 1: reutilizar el adjunto si ya se subió en un intento anterior
+  let attachment_id = submission.progress.attachment_id;
+  if (attachment_id) {
+    logger.logAction('INFO_ATTACHMENT_REUSED', 'Reutilizando adjunto de un intento anterior', 'estafeta.js:processSubmission', { 
+      submission_id: submission.id,
+      attempt: submission.attempts,
       attachment_id,
       external_code
     });
-    
-    logger.logAction('INFO_ANSWERS_START', 'Iniciando guardado de respuestas', 'estafeta.js:store', { 
+  } else {
+    const attachment = await createAttachment(submission);
+    if (!attachment.success) {
+      return attachment;
+    }
+    attachment_id = attachment.attachment_id;
+  }
+
+  // Fase 2: la fecha efectiva se fija en el primer intento para que reintentar el upsert
+  // actualice el mismo registro de cust_Claves_ONB en lugar de crear otro
+  let effective_start_date = submission.progress.effective_start_date;
+  if (!effective_start_date) {
+    effective_start_date = moment().tz('America/Mexico_City').format('YYYY-MM-DDTHH:mm:ss');
+    queue.update(submission.id, { progress: { attachment_id, effective_start_date } });
+  }
+  
+  logger.logAction('INFO_ANSWERS_START', 'Iniciando guardado de respuestas', 'estafeta.js:processSubmission', { 
+    external_code,
+    attachment_id
+  });
+  
+  // Almacenar las respuestas de la encuesta
+  let answersResult;
+  try {
+    answersResult = await storeAnswers(external_code, attachment_id, data, effective_start_date, survey.load(submission.meta.survey));
+  } catch (error) {
+    logger.logAction('ERR_060', 'Error crítico al guardar respuestas', 'estafeta.js:processSubmission', { 
+      message: error.message,
+      stack: error.stack,
       external_code,
       attachment_id
     });
-    
-    // Almacenar las respuestas de la encuesta
-    let answersResult;
-    try {
-      answersResult = await storeAnswers(external_code, attachment_id, req.body);
-    } catch (error) {
-      logger.logAction('ERR_060', 'Error crítico al guardar respuestas', 'estafeta.js:store', { 
-        message: error.message,
-        stack: error.stack,
-        external_code,
-        attachment_id
-      });
-      return res.status(422).json({
-        message: 'Ocurrio un problema al guardar la encuesta, intentelo nuevamente!'
-      });
-    }
-
-    // Validar la respuesta del almacenamiento de las respuestas
-    if (answersResult.status !== 200) {
-      logger.logAction('ERR_007', 'Error al guardar respuestas (3)', 'estafeta.js:store', { 
-        status: answersResult.status,
-        external_code
-      });
-      return res.status(422).json({
-        message: 'Ocurrio un problema al guardar la encuesta (3), intentelo nuevamente!'
-      });
-    }
-    
-    if (answersResult.data.d[0].httpCode !== 200) {
-      logger.logAction('ERR_008', 'Error al guardar respuestas (4)', 'estafeta.js:store', { 
-        httpCode: answersResult.data.d[0].httpCode,
-        external_code
-      });
-      return res.status(422).json({
-        message: 'Ocurrio un problema al guardar la encuesta (4), intentelo más tarde!'
-      });
-    }
+    return { success: false, code: 'ERR_060', message: error.message };
+  }
 
-    // Encuesta almacenada exitosamente
-    logger.logAction('INFO_SURVEY_SUCCESS', 'Encuesta guardada exitosamente', 'estafeta.js:store', { 
+  // Validar la respuesta del almacenamiento de las respuestas
+  if (answersResult.status !== 200) {
+    logger.logAction('ERR_007', 'Error al guardar respuestas (3)', 'estafeta.js:processSubmission', { 
+      status: answersResult.status,
       external_code,
       attachment_id
     });
+    return { success: false, code: 'ERR_007', message: 'Error al guardar respuestas (3)' };
+  }
+  
+  if (answersResult.data.d[0].httpCode !== 200) {
+    logger.logAction('ERR_008', 'Error al guardar respuestas (4)', 'estafeta.js:processSubmission', { 
+      httpCode: answersResult.data.d[0].httpCode,
+      external_code,
+      attachment_id
+    });
+    return { success: false, code: 'ERR_008', message: 'Error al guardar respuestas (4)' };
+  }
 
-    return res.json({
-      message: 'Encuesta enviada correctamente, gracias por tu colaboración!'
+  // Encuesta almacenada exitosamente
+  logger.logAction('INFO_SURVEY_SUCCESS', 'Encuesta guardada exitosamente', 'estafeta.js:processSubmission', { 
+    submission_id: submission.id,
+    external_code,
+    attachment_id
+  });
+
+  // Respuestas cerradas para el tablero de Recursos Humanos: sólo las que ya están en SuccessFactors.
+  // Si fallan no se reintenta el envío, que ya quedó guardado
+  try {
+    responses.save(submission, survey.load(submission.meta.survey), submission.meta.employee || {});
+  } catch (error) {
+    logger.logAction('ERR_RESPONSE_STORE', 'Error al guardar respuestas para el tablero', 'estafeta.js:processSubmission', { 
+      submission_id: submission.id,
+      message: error.message,
+      external_code
     });
+  }
+
+  return { success: true };
+};
+
+/**
+ * Fase 1 del procesamiento: generar el PDF, subirlo como adjunto y registrar su id en el envío
+ * @param {object} submission - Envío persistido en la cola
+ * @returns {Promise<object>} - { success, attachment_id } o { success: false, code, message }
+ */
+async function createAttachment(submission) {
+  const external_code = submission.external_code;
+
+  logger.logAction('INFO_ATTACHMENT_START', 'Iniciando guardado de adjunto', 'estafeta.js:createAttachment', { 
+    submission_id: submission.id,
+    attempt: submission.attempts,
+    external_code
+  });
+
+  // Almacenar archivo adjunto (PDF con los detalles de personalidad)
+  let attachmentResult;
+  try {
+    attachmentResult = await storeAttachment(submission);
   } catch (error) {
-    logger.logAction('ERR_COMM_FAILURE', 'Error no controlado en guardado de encuesta', 'estafeta.js:store', { 
+    logger.logAction('ERR_050', 'Error crítico al crear adjunto', 'estafeta.js:createAttachment', { 
       message: error.message,
       stack: error.stack,
-      external_code: req.body?.external_code || 'No disponible'
+      external_code
     });
-    
-    return res.status(500).json({
-      message: 'Ocurrió un error inesperado al procesar tu solicitud. Por favor intenta nuevamente más tarde.',
-      success: false
+    return { success: false, code: 'ERR_050', message: error.message };
+  }
+
+  // Validar la respuesta del almacenamiento del archivo adjunto
+  if (attachmentResult.status !== 200) {
+    logger.logAction('ERR_005', 'Error al guardar adjunto (1)', 'estafeta.js:createAttachment', { 
+      status: attachmentResult.status,
+      external_code
     });
+    return { success: false, code: 'ERR_005', message: 'Error al guardar adjunto (1)' };
   }
-};
+  
+  if (attachmentResult.data.d[0].httpCode !== 200) {
+    logger.logAction('ERR_006', 'Error al guardar adjunto (2)', 'estafeta.js:createAttachment', { 
+      httpCode: attachmentResult.data.d[0].httpCode,
+      external_code
+    });
+    return { success: false, code: 'ERR_006', message: 'Error al guardar adjunto (2)' };
+  }
+
+  // Extraer el ID del archivo adjunto de la respuesta y guardarlo antes de continuar
+  const attachment_id = attachmentResult.data.d[0].key.split("/", 2)[1];
+  queue.update(submission.id, { progress: Object.assign({}, submission.progress, { attachment_id }) });
+  
+  logger.logAction('INFO_ATTACHMENT_SUCCESS', 'Adjunto guardado exitosamente', 'estafeta.js:createAttachment', { 
+    submission_id: submission.id,
+    attachment_id,
+    external_code
+  });
+
+  return { success: true, attachment_id };
+}
 
 /**
 * Almacenar las respuestas de la encuesta en SuccessFactors
  * @param {string} external_code - Código externo del usuario
  * @param {string} attachment_id - ID del archivo adjunto PDF almacenado
  * @param {object} data - Datos de las respuestas de la encuesta
+ * @param {string} effective_start_date - Fecha efectiva del registro (fija entre reintentos)
+ * @param {object} definition - Definición de la encuesta con el mapeo a campos cust_*
  * @returns {Promise<object>} - Respuesta de la API
  */
 
-async function storeAnswers(external_code, attachment_id, data) {
+async function storeAnswers(external_code, attachment_id, data, effective_start_date, definition) {
   try {
     logger.logAction('INFO_PREPARE_ANSWERS', 'Preparando datos para guardar respuestas', 'estafeta.js:storeAnswers', { 
       external_code,
       attachment_id
     });
     
-    const date_now = moment().tz('America/Mexico_City').format('YYYY-MM-DDTHH:mm:ss');
-
     // Preparar los datos del formulario para la API de SuccessFactors
     const form = {
       "__metadata": {
-        "uri": `cust_Claves_ONB(effectiveStartDate=datetime'${date_now}',externalCode='${external_code}')`
+        "uri": `cust_Claves_ONB(effectiveStartDate=datetime'${effective_start_date}',externalCode=${api_successfactors.literal(external_code)})`
       },
-      "cust_curso_induccion": strToBool(data.q1),
-      "cust_proposito_superior": strToBool(data.q2),
-      "cust_valores_organizacionales": strToBool(data.q3),
-      "cust_priorizacion_valores": strToBool(data.q4),
-      "cust_herramientas_necesarias": strToBool(data.q5),
-      "cust_apoyo_lider": strToBool(data.q6),
-      "cust_respeto_colaboracion": strToBool(data.q7),
-      "cust_clara_idea": strToBool(data.q8),    
-      "cust_reclutamiento_seleccion": data.q10,
-      "cust_proceso_bienvenida": data.q11,
-      "cust_Comentarios_adicionales": data.comments,
+      ...survey.toSuccessFactors(definition, data),
       "cust_Carga_documentoNav": {
         "__metadata": { "uri": `Attachment(${attachment_id})` }
       }
     };
 
-    console.log("🧪 Formulario enviado a SuccessFactors:");
-    console.log(JSON.stringify(form, null, 2));
-
     // Registrar los datos de las respuestas (excluyendo los comentarios completos por brevedad)
     logger.logAction('INFO_SENDING_ANSWERS', 'Enviando respuestas a SuccessFactors', 'estafeta.js:storeAnswers', { 
       external_code,
       attachment_id,
-      form_data: {
-        q1: data.q1,
-        q2: data.q2,
-        q3: data.q3,
-        q4: data.q4,
-        q5: data.q5,
-        q6: data.q6,
-        q7: data.q7,
-        q8: data.q8,
-        q10: data.q10,
-        q11: data.q11,
-        comments_length: data.comments.length
-      }
+      survey: definition.id,
+      form_data: Object.assign(
+        _.pick(data, definition.questions.filter(q => q.id !== 'comments').map(q => q.id)),
+        { comments_length: data.comments.length }
+      )
     });
 
     // Enviar los datos a SuccessFactors
@@ -308,12 +489,10 @@ async function storeAnswers(external_code, attachment_id, data) {
       data: response.data
     });
     
-    console.log("📬 Respuesta de SuccessFactors:");
-    console.log(JSON.stringify(response.data, null, 2));
-    
     return response;
   } catch (error) {
-    logger.logAction('ERR_COMM_FAILURE', 'Error en la llamada a SuccessFactors', 'estafeta.js:storeAnswers', { 
+    // Falla de este intento: el worker lo reintenta, así que no se registra como error crítico
+    logger.logAction('WARN_COMM_FAILURE', 'Error en la llamada a SuccessFactors', 'estafeta.js:storeAnswers', { 
       message: error.message,
       stack: error.stack,
       external_code,
@@ -324,42 +503,37 @@ async function storeAnswers(external_code, attachment_id, data) {
 }
 
 /**
- * * Generar PDF a partir de texto y almacenarlo como archivo adjunto
- * @param {string} text - Texto para convertir a PDF
- * @param {string} host - URL del servidor host
+ * * Generar PDF a partir de texto y almacenarlo como archivo adjunto.
+ * El PDF se genera en memoria y se envía en base64 sin pasar por el disco.
+ * El análisis del texto se guarda en el envío: los reintentos y las gráficas lo reutilizan
+ * sin volver a llamar a los proveedores.
+ * @param {object} submission - Envío persistido en la cola (data.comments es el texto a analizar)
  * @returns {Promise<object>} - Respuesta de la API
  */
 
-async function storeAttachment(text, host) {
-  const filename = 'pi_' + Date.now() + '.pdf';
-  const path = '/tmp/' + filename;
+async function storeAttachment(submission) {
+  const text = submission.data.comments;
+  const filename = 'pi_' + submission.id + '.pdf';
     
   logger.logAction('INFO_PDF_START', 'Iniciando generación de PDF', 'estafeta.js:storeAttachment', { 
     filename,
     text_length: text.length
   });
-  
-  // Crear el directorio de almacenamiento si no existe
-  if (!fs.existsSync('./tmp/')) {
-    fs.mkdirSync('./tmp/');
-  }
 
   try {
+    const analyzed = await pi.analyzeSubmission(submission);
+
     // Generar PDF a partir de texto
-    await pi.getPDF(text, host, path);
-    
-    const stats = fs.statSync(path);
-    console.log("📎 PDF generado:", filename);
-    console.log("📎 Tamaño:", stats.size, "bytes");
-    
+    // Idioma del reporte: REPORT_LOCALE (español por omisión)
+    const pdf = await pi.getPDF(text, { analyzed });
+
     logger.logAction('INFO_PDF_SUCCESS', 'PDF generado exitosamente', 'estafeta.js:storeAttachment', { 
       filename,
-      size: stats.size
+      size: pdf.length
     });
 
-    // Leer el contenido del archivo como base64
-    const contents = fs.readFileSync(path, { encoding: 'base64' });
-    console.log("📎 Archivo base64 (primeros 100):", contents.slice(0, 100) + "...");
+    // Contenido del PDF en base64
+    const contents = pdf.toString('base64');
 
     // Preparar los datos del formulario para la API de SuccessFactors
     const form = [{
@@ -375,7 +549,7 @@ async function storeAttachment(text, host) {
 
     logger.logAction('INFO_SENDING_ATTACHMENT', 'Enviando adjunto a SuccessFactors', 'estafeta.js:storeAttachment', { 
       filename,
-      size: stats.size
+      size: pdf.length
     });
     
     // Enviar archivo adjunto a SuccessFactors
@@ -386,11 +560,6 @@ async function storeAttachment(text, host) {
       data: response.data
     });
     
-    console.log("📤 Respuesta de storeAttachment:", JSON.stringify(response.data, null, 2));
-
-    // Limpiar archivo temporal
-    fs.unlinkSync(path);
-    
     return response;
   } catch (error) {
     logger.logAction('ERR_010', 'Error al procesar el adjunto', 'estafeta.js:storeAttachment', { 
@@ -399,28 +568,45 @@ async function storeAttachment(text, host) {
       filename
     });
     
-    // Limpiar archivo si existe
-    if (fs.existsSync(path)) {
-      try {
-        fs.unlinkSync(path);
-      } catch (unlinkError) {
-        logger.logAction('ERR_011', 'Error al eliminar archivo temporal', 'estafeta.js:storeAttachment', { 
-          message: unlinkError.message,
-          filename
-        });
-      }
-    }
-    
     throw error;
   }
 }
 
 /**
- * Convertir la cadena 'true'/'false' a booleano
- * @param {string} s - Cadena a convertir
- * @returns {boolean} - Valor booleano
+ * Empleo más reciente del empleado (considera reingresos)
+ * @param {object} person - Registro PerPerson con employmentNav expandido
+ * @returns {object|null} - { employment, startDate (ms) } o null si SuccessFactors no devuelve fechas
+ */
+function latestEmploymentOf(person) {
+  const employments = (person.employmentNav && person.employmentNav.results) || [];
+  return employments
+    .map(employment => ({ employment, match: /\/Date\((-?\d+)/.exec(employment.startDate || '') }))
+    .filter(e => e.match)
+    .map(e => ({ employment: e.employment, startDate: parseInt(e.match[1], 10) }))
+    .reduce((latest, e) => (!latest || e.startDate > latest.startDate ? e : latest), null);
+}
+
+/**
+ * Fecha de ingreso más reciente del empleado (considera reingresos)
+ * @param {object} person - Registro PerPerson con employmentNav expandido
+ * @returns {string|null} - Fecha ISO (YYYY-MM-DD) o null si SuccessFactors no la devuelve
  */
+function hireDateOf(person) {
+  const latest = latestEmploymentOf(person);
+  return latest ? moment.utc(latest.startDate).format('YYYY-MM-DD') : null;
+}
+
+/**
+ * Área (departamento) del empleo más reciente, para filtrar el tablero de resultados
+ * @param {object} person - Registro PerPerson con employmentNav/jobInfoNav expandido
+ * @returns {string|null}
+ */
+function departmentOf(person) {
+  const latest = latestEmploymentOf(person);
+  const jobs = (latest && latest.employment.jobInfoNav && latest.employment.jobInfoNav.results) || [];
+  return (jobs[0] && jobs[0].department) || null;
+}
 
-function strToBool(s) {
-  return s === 'true';
-}
\ No newline at end of file
+// Expuestos para que bin/onb muestre los mismos datos del empleado que /search
+exports.hireDateOf = hireDateOf;
+exports.departmentOf = departmentOf;
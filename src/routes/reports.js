@@ -0,0 +1,209 @@
+const pi = require("../helpers/personality-insights");
+const pdfTemplate = require("../helpers/pdf-template");
+const topicReport = require("../helpers/topic-report");
+const spreadsheet = require("../helpers/spreadsheet");
+const responseExport = require("../helpers/response-export");
+const i18n = require("../i18n");
+const logger = require('../helpers/logger');
+const queue = require('../helpers/submission-queue');
+const _ = require('lodash');
+
+/**
+ * Envío indicado en la ruta: /reportes/encuesta/:id o /reportes/empleado/:external_code/:survey
+ * @param {object} params - Parámetros de la ruta
+ * @returns {object|null} - Envío o null si no existe
+ */
+function findSubmission(params) {
+  if (params.id) {
+    return queue.get(params.id);
+  }
+  return queue.findByExternalCode(params.external_code, params.survey);
+}
+
+/**
+ * Envío de la solicitud con su análisis; si aún no se analizó, se analiza el comentario guardado.
+ * Responde 404 y regresa null cuando el envío no existe.
+ */
+async function analyzedSubmission(req, res) {
+  const submission = findSubmission(req.params);
+
+  if (!submission) {
+    res.status(404).json({
+      message: 'No se encontró la encuesta solicitada.'
+    });
+    return null;
+  }
+
+  if (!submission.analysis) {
+    logger.logAction('INFO_REPORT_ANALYSIS', 'Analizando el comentario guardado para el reporte', 'reports.js:analyzedSubmission', {
+      submission_id: submission.id,
+      external_code: submission.external_code
+    });
+  }
+
+  return { submission, analyzed: await pi.analyzeSubmission(submission) };
+}
+
+/**
+ * Vista previa del reporte en HTML (el mismo documento que se convierte a PDF)
+ * @param {object} req - Solicitud HTTP (query: locale)
+ * @param {object} res - Respuesta HTTP
+ */
+exports.preview = async (req, res) => {
+  const report = await analyzedSubmission(req, res);
+  if (!report) {
+    return;
+  }
+
+  logger.logAction('INFO_REPORT_PREVIEW', 'Vista previa de reporte', 'reports.js:preview', {
+    submission_id: report.submission.id,
+    external_code: report.submission.external_code
+  });
+
+  res.type('html').send(pi.getHTML(report.analyzed, i18n.fromRequest(req)));
+};
+
+/**
+ * Descargar el reporte en PDF, generado a partir del análisis guardado
+ * @param {object} req - Solicitud HTTP (query: locale)
+ * @param {object} res - Respuesta HTTP
+ */
+exports.download = async (req, res) => {
+  const report = await analyzedSubmission(req, res);
+  if (!report) {
+    return;
+  }
+
+  const { submission, analyzed } = report;
+  let pdf;
+  try {
+    pdf = await pi.getPDF(submission.data.comments, { analyzed, locale: i18n.fromRequest(req) });
+  } catch (error) {
+    if (error.code !== 'PDF_QUEUE_FULL') {
+      throw error;
+    }
+    return res.status(503).json({
+      message: 'Hay demasiados reportes en proceso, intenta nuevamente en unos minutos.'
+    });
+  }
+
+  const filename = `reporte_${submission.external_code}_${submission.meta.survey}.pdf`.replace(/[^A-Za-z0-9_.-]/g, '_');
+
+  logger.logAction('INFO_REPORT_DOWNLOAD', 'Descarga de reporte', 'reports.js:download', {
+    submission_id: submission.id,
+    external_code: submission.external_code,
+    size: pdf.length
+  });
+
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.type('application/pdf').send(pdf);
+};
+
+/**
+ * Columnas del análisis por temas en XLSX: una fila por tema, con sus citas de ejemplo
+ * @param {function} t - Traductor del idioma del reporte
+ * @returns {Array<object>}
+ */
+function topicColumns(t) {
+  return [
+    { key: 'label', label: t('topics.theme') },
+    { key: 'terms', label: t('topics.terms') },
+    { key: 'mentions', label: t('topics.mentions') },
+    { key: 'negative', label: t('topics.negative') },
+    { key: 'positive', label: t('topics.positive') },
+    { key: 'sentiment', label: t('topics.sentiment') },
+    ...[1, 2, 3].map(n => ({ key: 'quote' + n, label: t('topics.quote', { n }) }))
+  ];
+}
+
+/**
+ * Análisis por temas de los comentarios de un periodo, en HTML, PDF o XLSX
+ * @param {object} req - Solicitud HTTP (params: format pdf o xlsx; query: from, to, locale)
+ * @param {object} res - Respuesta HTTP
+ */
+exports.topics = async (req, res) => {
+  const t = i18n.translator(i18n.fromRequest(req));
+  let report;
+  try {
+    report = topicReport.build(req.query, t.locale);
+  } catch (error) {
+    if (error.code !== 'INVALID_PERIOD') {
+      throw error;
+    }
+    return res.status(422).json({
+      message: error.message
+    });
+  }
+
+  const filename = `temas_${report.period.from}_${report.period.to}`;
+
+  logger.logAction('INFO_TOPICS_REPORT', 'Análisis por temas generado', 'reports.js:topics', {
+    user: req.user.id,
+    format: req.params.format || 'html',
+    period: report.period,
+    comments: report.comments,
+    pending: report.pending
+  });
+
+  if (req.params.format === 'xlsx') {
+    const rows = report.themes.map(theme => Object.assign(_.pick(theme, ['label', 'mentions', 'negative', 'positive', 'sentiment']), {
+      terms: theme.terms.join(', '),
+      quote1: theme.quotes[0],
+      quote2: theme.quotes[1],
+      quote3: theme.quotes[2]
+    }));
+    res.set('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+    return res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+      .send(spreadsheet.toXlsx(topicColumns(t), rows));
+  }
+
+  const html = pdfTemplate.render('topics', Object.assign({ t, locale: t.locale }, report));
+  if (req.params.format !== 'pdf') {
+    return res.type('html').send(html);
+  }
+
+  let pdf;
+  try {
+    pdf = await pi.createPDF(html);
+  } catch (error) {
+    if (error.code !== 'PDF_QUEUE_FULL') {
+      throw error;
+    }
+    return res.status(503).json({
+      message: 'Hay demasiados reportes en proceso, intenta nuevamente en unos minutos.'
+    });
+  }
+  res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+  res.type('application/pdf').send(pdf);
+};
+
+/**
+ * Exportar las respuestas de un periodo en CSV o XLSX, con columnas según la definición de la encuesta
+ * @param {object} req - Solicitud HTTP (params: format csv o xlsx; query: from, to, survey, sentiment, locale)
+ * @param {object} res - Respuesta HTTP
+ */
+exports.responses = async (req, res) => {
+  let exported;
+  try {
+    exported = responseExport.build(Object.assign({}, req.query, { locale: i18n.fromRequest(req) }));
+  } catch (error) {
+    if (error.code !== 'INVALID_PERIOD' && error.code !== 'INVALID_SURVEY') {
+      throw error;
+    }
+    return res.status(422).json({
+      message: error.message
+    });
+  }
+
+  const file = responseExport.render(exported, req.params.format);
+
+  logger.logAction('INFO_RESPONSES_EXPORT', 'Exportación de respuestas', 'reports.js:responses', {
+    user: req.user.id,
+    format: req.params.format,
+    period: exported.period,
+    rows: exported.rows.length
+  });
+
+  res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+  res.type(file.type).send(file.content);
+};
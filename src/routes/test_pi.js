@@ -1,17 +1,15 @@
-const fs = require('fs');
 const pi = require("../helpers/personality-insights");
+const i18n = require("../i18n");
 
 exports.test = async (req, res) => {
     var comments = 'Quiero agradecer la oportunidad, pondré todo el empeño para cumplir con los objetivos institucionales. Asimismo, considero importante comentar que el proceso para recibir mi computadora de trabajo fue un poco tardado, desde la entrega hasta la configuración. ¡Gracias! El encuentro con mis compañeros de trabajo hasta este momento ha sido respeto, aunque un poco frío. Felicito al equipo de Recursos Humanos, me han hecho muy agradable el ingreso a Estafeta muchas gracias. Es importante hacer de su conocimiento que todo el proceso de reclutamiento fue muy sencillo y ágil, sin embargo, al momento de integrarme a mis actividades, considero que debería de existir un acompañamiento ya que por algún motivo me sentí fuera de lugar y sin conocimiento de mis actividades. Pertenezco al área de Administración.';
 
-    let host = req.protocol+"://"+req.headers.host;
-    var filename = 'pi_' + Date.now() + '.pdf';
-    var path = 'storage/' + filename;
-    if (!fs.existsSync('./storage')) fs.mkdirSync('./storage');
-    
-    let pdf = await pi.getPDF(comments, host, path);
+    // El PDF se genera en memoria y se envía directamente en la respuesta
+    // Idioma del reporte: ?locale=en o Accept-Language
+    let pdf = await pi.getPDF(comments, { locale: i18n.fromRequest(req) });
 
-    console.log(pdf);
+    res.set('Content-Disposition', 'inline; filename="pi_test.pdf"');
+    res.type('application/pdf').send(pdf);
     /*pdf.createAsync(html,{
         "format": 'Letter', 
         "orientation": 'landscape', 
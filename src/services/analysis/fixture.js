@@ -0,0 +1,19 @@
+const fs = require('fs');
+const path = require('path');
+const ibm_nlu = require('./ibm_nlu');
+const config = require('../../config');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures/nlu_response.json');
+
+/**
+ * Reproduce una respuesta de IBM NLU grabada previamente.
+ * El archivo se define con ANALYSIS_FIXTURE; si no existe se usa el de ejemplo.
+ */
+module.exports = {
+    name: 'fixture',
+    async analyze(text) {
+        const fixturePath = config.analysis.fixture || DEFAULT_FIXTURE;
+        const response = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+        return ibm_nlu.normalize(response, 'fixture');
+    }
+};
@@ -0,0 +1,83 @@
+const api_pi = require("../api_personality");
+
+const EMOTIONS = ['sadness', 'joy', 'fear', 'disgust', 'anger'];
+
+/**
+ * Normalizar un elemento (keyword/entity) de la respuesta de IBM NLU
+ * @param {object} item - Elemento de la respuesta NLU
+ * @returns {object} - Elemento normalizado
+ */
+function normalizeItem(item) {
+    const normalized = {
+        text: item.text,
+        relevance: item.relevance || 0,
+        count: item.count || 1,
+        sentiment: {
+            score: item.sentiment ? item.sentiment.score : 0,
+            label: item.sentiment ? item.sentiment.label : 'neutral'
+        },
+        emotion: null
+    };
+
+    if (item.type) {
+        normalized.type = item.type;
+    }
+
+    if (item.emotion) {
+        normalized.emotion = normalizeEmotion(item.emotion);
+    }
+
+    return normalized;
+}
+
+function normalizeEmotion(emotion) {
+    const normalized = {};
+    EMOTIONS.forEach(e => {
+        normalized[e] = emotion[e] || 0;
+    });
+    return normalized;
+}
+
+/**
+ * Sentimiento y emociones del documento completo (features sentiment y emotion)
+ * @param {object} response - JSON devuelto por /v1/analyze
+ * @returns {object} - { sentiment: { score, label }, emotion }
+ */
+function normalizeDocument(response) {
+    const sentiment = response.sentiment && response.sentiment.document;
+    const emotion = response.emotion && response.emotion.document && response.emotion.document.emotion;
+    return {
+        sentiment: {
+            score: sentiment ? sentiment.score : 0,
+            label: sentiment ? sentiment.label : 'neutral'
+        },
+        emotion: emotion ? normalizeEmotion(emotion) : null
+    };
+}
+
+/**
+ * Convertir la respuesta cruda de IBM NLU al objeto de análisis normalizado
+ * @param {object} response - JSON devuelto por /v1/analyze
+ * @param {string} provider - Nombre del proveedor que genera el análisis
+ * @returns {object} - Análisis normalizado
+ */
+function normalize(response, provider = 'ibm_nlu') {
+    return {
+        provider,
+        language: response.language || 'es',
+        document: normalizeDocument(response),
+        keywords: (response.keywords || []).map(normalizeItem),
+        entities: (response.entities || []).map(normalizeItem),
+        categories: (response.categories || []).map(c => ({ label: c.label, score: c.score })),
+        concepts: (response.concepts || []).map(c => ({ text: c.text, relevance: c.relevance }))
+    };
+}
+
+module.exports = {
+    name: 'ibm_nlu',
+    normalize,
+    async analyze(text) {
+        const response = await api_pi.getPiJson(text);
+        return normalize(response);
+    }
+};
@@ -0,0 +1,45 @@
+const ibm_nlu = require('./ibm_nlu');
+const lexicon = require('./lexicon');
+const fixture = require('./fixture');
+const config = require('../../config');
+
+/**
+ * Proveedores de análisis de texto disponibles.
+ * Todos exponen analyze(text) y devuelven el mismo objeto normalizado:
+ *
+ * {
+ *   provider: 'ibm_nlu' | 'lexicon' | 'fixture',
+ *   language: 'es',
+ *   document: { sentiment: { score, label }, emotion: { sadness, joy, fear, disgust, anger } | null },
+ *   keywords: [{ text, relevance, count, sentiment: { score, label }, emotion: { sadness, joy, fear, disgust, anger } | null }],
+ *   entities: [{ text, type, relevance, count, sentiment, emotion }],
+ *   categories: [{ label, score }],
+ *   concepts: [{ text, relevance }]
+ * }
+ */
+const providers = {
+  [ibm_nlu.name]: ibm_nlu,
+  [lexicon.name]: lexicon,
+  [fixture.name]: fixture
+};
+
+/**
+ * Obtener el proveedor configurado en ANALYSIS_PROVIDER
+ * @param {string} [name] - Nombre explícito del proveedor
+ * @returns {object} - Proveedor de análisis
+ */
+function getProvider(name = config.analysis.provider) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new config.ConfigError(`Proveedor de análisis desconocido en env ANALYSIS_PROVIDER: ${name}`, { requiredVar: 'ANALYSIS_PROVIDER' });
+  }
+  return provider;
+}
+
+module.exports = {
+  providers,
+  getProvider,
+  analyze(text) {
+    return getProvider().analyze(text);
+  }
+};
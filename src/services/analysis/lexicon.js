@@ -0,0 +1,177 @@
+const _ = require('lodash');
+const lexicon = require('./lexicon/es.json');
+
+const EMOTIONS = ['sadness', 'joy', 'fear', 'disgust', 'anger'];
+const EMOTION_BASELINE = 0.05;
+const NEGATION_WINDOW = 3;
+const MAX_KEYWORDS = 12;
+const MIN_KEYWORD_LENGTH = 4;
+
+const stopwords = new Set(lexicon.stopwords);
+const negators = new Set(lexicon.negators);
+
+/**
+ * Separar un texto en oraciones (y cláusulas adversativas) y cada una en tokens
+ * @param {string} text - Texto a procesar
+ * @returns {Array<object>} - Oraciones con su texto original y sus tokens
+ */
+function tokenize(text) {
+  return text
+    .split(/[.!?¡¿;\n]+|\bsin embargo\b|\bpero\b|\baunque\b/i)
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(sentence => ({
+      text: sentence,
+      words: sentence.match(/[\p{L}\p{N}]+/gu) || []
+    }));
+}
+
+function labelFor(score) {
+  if (score > 0.05) return 'positive';
+  if (score < -0.05) return 'negative';
+  return 'neutral';
+}
+
+/**
+ * Calcular sentimiento y emociones de una oración con base en el léxico
+ * @param {Array<string>} words - Tokens de la oración
+ * @returns {object} - { score, emotion }
+ */
+function scoreSentence(words) {
+  const lower = words.map(w => w.toLowerCase());
+  const emotion = _.zipObject(EMOTIONS, EMOTIONS.map(() => 0));
+  let polarity = 0;
+  let hits = 0;
+
+  lower.forEach((word, i) => {
+    const entry = lexicon.words[word];
+    if (!entry) return;
+
+    const window = lower.slice(Math.max(0, i - NEGATION_WINDOW), i);
+    const negated = window.some(w => negators.has(w));
+    const intensity = lexicon.intensifiers[lower[i - 1]] || 1;
+
+    polarity += entry.polarity * intensity * (negated ? -1 : 1);
+    hits++;
+
+    // Una emoción negada se atenúa en lugar de invertirse
+    _.forEach(entry.emotion, (weight, name) => {
+      emotion[name] += weight * intensity * (negated ? 0.3 : 1);
+    });
+    if (negated && entry.polarity > 0) {
+      emotion.sadness += 0.4;
+    }
+  });
+
+  return {
+    score: hits ? _.clamp(polarity / hits, -1, 1) : 0,
+    emotion: _.mapValues(emotion, v => _.clamp(EMOTION_BASELINE + (hits ? v / hits : 0), 0, 1))
+  };
+}
+
+/**
+ * Promediar las puntuaciones de las oraciones en las que aparece un término
+ * @param {string} text - Término (keyword o entidad)
+ * @param {number} count - Número de apariciones
+ * @param {Array<object>} scored - Oraciones ya puntuadas donde aparece
+ * @returns {object} - Elemento normalizado sin relevancia
+ */
+function buildItem(text, count, scored) {
+  const score = _.round(_.meanBy(scored, 'score'), 4);
+  return {
+    text,
+    count,
+    sentiment: { score, label: labelFor(score) },
+    emotion: _.zipObject(EMOTIONS, EMOTIONS.map(e => _.round(_.meanBy(scored, s => s.emotion[e]), 4)))
+  };
+}
+
+/**
+ * Detectar entidades como secuencias de palabras capitalizadas que no inician oración
+ * @param {Array<object>} sentences - Oraciones tokenizadas
+ * @returns {Map<string, Array<number>>} - Entidad -> índices de oraciones donde aparece
+ */
+function findEntities(sentences) {
+  const entities = new Map();
+
+  sentences.forEach((sentence, index) => {
+    let current = [];
+    const flush = () => {
+      if (current.length > 0) {
+        const name = current.join(' ');
+        if (!entities.has(name)) entities.set(name, []);
+        entities.get(name).push(index);
+      }
+      current = [];
+    };
+
+    sentence.words.forEach((word, i) => {
+      const capitalized = /^\p{Lu}/u.test(word);
+      if (capitalized && i > 0 && !stopwords.has(word.toLowerCase())) {
+        current.push(word);
+      } else {
+        flush();
+      }
+    });
+    flush();
+  });
+
+  return entities;
+}
+
+/**
+ * Análisis de sentimiento y emociones en español sin servicios externos.
+ * Usa un léxico local (lexicon/es.json), por lo que sus resultados son aproximados.
+ */
+module.exports = {
+  name: 'lexicon',
+  async analyze(text) {
+    const sentences = tokenize(text);
+    const scored = sentences.map(s => scoreSentence(s.words));
+
+    // Palabras clave: términos frecuentes que no son stopwords ni palabras de sentimiento
+    const occurrences = new Map();
+    sentences.forEach((sentence, index) => {
+      sentence.words.forEach(word => {
+        const term = word.toLowerCase();
+        if (term.length < MIN_KEYWORD_LENGTH || stopwords.has(term) || negators.has(term) || lexicon.words[term] || /^\d+$/.test(term)) {
+          return;
+        }
+        if (!occurrences.has(term)) occurrences.set(term, []);
+        occurrences.get(term).push(index);
+      });
+    });
+
+    const entities = findEntities(sentences);
+    entities.forEach((_indexes, name) => name.toLowerCase().split(' ').forEach(w => occurrences.delete(w)));
+
+    const maxCount = _.max([...occurrences.values()].map(v => v.length)) || 1;
+    const keywords = _.take(_.orderBy([...occurrences.entries()].map(([term, indexes]) => {
+      const item = buildItem(term, indexes.length, indexes.map(i => scored[i]));
+      item.relevance = _.round(0.5 + 0.5 * (indexes.length / maxCount), 4);
+      return item;
+    }), [k => k.relevance, k => Math.abs(k.sentiment.score)], ['desc', 'desc']), MAX_KEYWORDS);
+
+    const maxEntity = _.max([...entities.values()].map(v => v.length)) || 1;
+    const entityItems = [...entities.entries()].map(([name, indexes]) => {
+      const item = buildItem(name, indexes.length, indexes.map(i => scored[i]));
+      item.type = 'Unknown';
+      item.relevance = _.round(0.5 + 0.5 * (indexes.length / maxEntity), 4);
+      return item;
+    });
+
+    // El documento promedia todas sus oraciones
+    const document = buildItem(null, sentences.length, scored.length > 0 ? scored : [scoreSentence([])]);
+
+    return {
+      provider: 'lexicon',
+      language: 'es',
+      document: { sentiment: document.sentiment, emotion: document.emotion },
+      keywords,
+      entities: _.orderBy(entityItems, ['relevance'], ['desc']),
+      // Sin taxonomía ni base de conocimiento local: no hay categorías ni conceptos
+      categories: [],
+      concepts: []
+    };
+  }
+};
@@ -1,10 +1,12 @@
 const axios = require('axios');
+const config = require('../config');
+
 module.exports = {
     getToken() {
-        return axios.get(process.env.API_ONB_URL + "ODataAuthentication", {
+        return axios.get(config.onb.url + "ODataAuthentication", {
                 auth: {
-                    username: process.env.API_ONB_USER,
-                    password: process.env.API_ONB_PASSWORD,
+                    username: config.onb.user,
+                    password: config.onb.password,
                 },
             })
             .then(function (response) {
@@ -14,21 +16,8 @@ module.exports = {
                 return error.response;
             });
     },
-    getHrDataId(token, filter) {
-        return axios.get(process.env.API_ONB_URL + "HRData" + filter, {
-                headers: {
-                    'Authorization': token
-                },
-            })
-            .then(function (response) {
-                return response;
-            })
-            .catch(error => {
-                return error.response;
-            });
-    },
     storeAttachment(token, data) {
-        return axios.post(process.env.API_ONB_URL + "OnboardeeAttachment", data, {
+        return axios.post(config.onb.url + "OnboardeeAttachment", data, {
                 headers: {
                     'Authorization': token
                 },
@@ -41,7 +30,7 @@ module.exports = {
             });;
     },
     putAnswers(token, data) {
-        return axios.put(process.env.API_ONB_URL + "HRData", data, {
+        return axios.put(config.onb.url + "HRData", data, {
                 headers: {
                     'Authorization': token
                 },
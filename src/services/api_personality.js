@@ -1,10 +1,12 @@
 const axios = require('axios');
+const config = require('../config');
+
 module.exports = {
     getPiCsv(data) {
-        return axios.post(process.env.API_PI_URL + "&csv_headers=true", data, {
+        return axios.post(config.analysis.nlu.url + "&csv_headers=true", data, {
             auth: {
-                username: process.env.API_PI_USER,
-                password: process.env.PERSONALITY_INSIGHTS_IAM_APIKEY,
+                username: config.analysis.nlu.user,
+                password: config.analysis.nlu.iamApiKey,
             },
             headers: {
                 "Content-Type": "text/plain;charset=utf-8",
@@ -19,10 +21,10 @@ module.exports = {
     },
     getPiJson(data) {
         // IBM NLU (Natural language understanding)
-        return axios.get(process.env.API_PI_URL, {
+        return axios.get(config.analysis.nlu.url, {
             auth: {
-                username: process.env.API_PI_USER,
-                password: process.env.API_PI_PASS,
+                username: config.analysis.nlu.user,
+                password: config.analysis.nlu.password,
             },
             headers: {
                 "Content-Type": "text/plain;charset=utf-8",
@@ -31,13 +33,38 @@ module.exports = {
                 'Accept-Language':  "es",
             },
             params: {
-                version: (process.env.API_PI_VERSION || '2021-08-01'),
+                version: config.analysis.nlu.version,
                 text: data,
-                features: 'keywords,entities',
+                features: 'keywords,entities,sentiment,emotion,categories,concepts',
                 'entities.emotion': true,
                 'entities.sentiment': true,
                 'keywords.emotion': true,
-                'keywords.sentiment': true
+                'keywords.sentiment': true,
+                'categories.limit': 3,
+                'concepts.limit': 5
+            }
+        })
+        .then(function (response) {
+           return response.data;
+        });
+    },
+    getProfile(data) {
+        // Servicio compatible con Personality Insights v3 (perfil de Big Five, necesidades y valores)
+        return axios.post(config.profile.url, data, {
+            auth: {
+                username: 'apikey',
+                password: config.profile.key,
+            },
+            headers: {
+                "Content-Type": "text/plain;charset=utf-8",
+                "Accept": "application/json",
+                'Content-Language': "es",
+                'Accept-Language':  "es",
+            },
+            params: {
+                version: config.profile.version,
+                consumption_preferences: false,
+                raw_scores: false
             }
         })
         .then(function (response) {
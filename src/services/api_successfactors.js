@@ -1,11 +1,85 @@
 const axios = require('axios');
+const config = require('../config');
+
+/**
+ * Constructor de consultas OData v2 para SuccessFactors.
+ * Todos los valores que provienen del usuario deben pasar por literal() para
+ * evitar que una comilla altere el $filter (inyección OData).
+ */
+
+// Nombres de propiedades/entidades permitidos (incluye rutas de navegación como personalInfoNav/displayName)
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*(\/[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+function identifier(name) {
+    if (!IDENTIFIER.test(name)) {
+        throw new Error(`Identificador OData inválido: ${name}`);
+    }
+    return name;
+}
+
+/**
+ * Escapar un valor literal de OData
+ * @param {string|number|boolean|null} value - Valor a escapar
+ * @returns {string} - Literal listo para usarse en $filter o en la llave de una entidad
+ */
+function literal(value) {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value);
+    }
+    return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+// Expresiones de $filter
+const filter = {
+    eq(field, value) {
+        return identifier(field) + ' eq ' + literal(value);
+    },
+    and(...clauses) {
+        return clauses.filter(Boolean).join(' and ');
+    },
+    or(...clauses) {
+        return '(' + clauses.filter(Boolean).join(' or ') + ')';
+    }
+};
+
+/**
+ * Construir la URL de una consulta OData
+ * @param {string} entity - Entidad o función (PerPerson, cust_Claves_ONB, upsert...)
+ * @param {object} [options] - { format, select, expand, filter, top }
+ * @returns {string} - URL absoluta sobre API_SUCCESSF_URL
+ */
+function buildQuery(entity, options = {}) {
+    const params = [];
+    if (options.format) params.push('$format=' + encodeURIComponent(options.format));
+    if (options.expand) params.push('$expand=' + options.expand.map(identifier).join(','));
+    if (options.select) params.push('$select=' + options.select.map(identifier).join(','));
+    if (options.filter) params.push('$filter=' + encodeURIComponent(options.filter));
+    if (options.top) params.push('$top=' + parseInt(options.top, 10));
+
+    return config.successfactors.url + identifier(entity) + (params.length ? '?' + params.join('&') : '');
+}
+
 module.exports = {
-    getPersonIdExt(filter) {
-        var api_url = process.env.API_SUCCESSF_URL + "PerPerson?$format=json&$expand=personalInfoNav&$select=personIdExternal,personalInfoNav/displayName&$filter=";
-        return axios.get(api_url + filter, {
+    literal,
+    filter,
+    buildQuery,
+    getPersonIdExt(curp) {
+        var api_url = buildQuery('PerPerson', {
+            format: 'json',
+            expand: ['personalInfoNav', 'employmentNav', 'employmentNav/jobInfoNav'],
+            select: ['personIdExternal', 'personalInfoNav/displayName', 'employmentNav/startDate', 'employmentNav/jobInfoNav/department'],
+            filter: filter.and(
+                filter.eq('nationalIdNav/cardType', 'PR'),
+                filter.eq('nationalIdNav/nationalId', curp)
+            )
+        });
+        return axios.get(api_url, {
                 auth: {
-                    username: process.env.API_SUCCESSF_USER,
-                    password: process.env.API_SUCCESSF_PASSWORD,
+                    username: config.successfactors.user,
+                    password: config.successfactors.password,
                 }
             })
             .then(function (response) {
@@ -15,12 +89,21 @@ module.exports = {
                 return error.response;
             });
     },
-    getOnbKeys(external_code) {
-        var api_url = process.env.API_SUCCESSF_URL + "cust_Claves_ONB?$format=json&$filter=externalCode eq '" + external_code + "'";
+    getOnbKeys(external_code, wave) {
+        // Cada ola se distingue por su valor en wave.field; los registros previos a las olas
+        // no tienen valor y se cuentan para la ola marcada con includes_unassigned
+        var wave_filter = filter.eq(wave.field, wave.value);
+        if (wave.includes_unassigned) {
+            wave_filter = filter.or(wave_filter, filter.eq(wave.field, null));
+        }
+        var api_url = buildQuery('cust_Claves_ONB', {
+            format: 'json',
+            filter: filter.and(filter.eq('externalCode', external_code), wave_filter)
+        });
         return axios.get(api_url, {
                 auth: {
-                    username: process.env.API_SUCCESSF_USER,
-                    password: process.env.API_SUCCESSF_PASSWORD,
+                    username: config.successfactors.user,
+                    password: config.successfactors.password,
                 }
             })
             .then(function (response) {
@@ -31,10 +114,10 @@ module.exports = {
             });
     },
     storeAttachment(data) {
-        return axios.post(process.env.API_SUCCESSF_URL + "upsert", data, {
+        return axios.post(buildQuery('upsert'), data, {
                 auth: {
-                    username: process.env.API_SUCCESSF_USER,
-                    password: process.env.API_SUCCESSF_PASSWORD,
+                    username: config.successfactors.user,
+                    password: config.successfactors.password,
                 },
                 headers: {
                     "Content-Type": "application/json; charset=utf-8",
@@ -49,10 +132,10 @@ module.exports = {
             });;
     },  
     storeAnswers(data) {
-        return axios.post(process.env.API_SUCCESSF_URL + "upsert", data, {
+        return axios.post(buildQuery('upsert'), data, {
                 auth: {
-                    username: process.env.API_SUCCESSF_USER,
-                    password: process.env.API_SUCCESSF_PASSWORD,
+                    username: config.successfactors.user,
+                    password: config.successfactors.password,
                 },
                 headers: {
                     "Content-Type": "application/json; charset=utf-8",
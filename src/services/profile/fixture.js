@@ -0,0 +1,17 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures/profile_response.json');
+
+/**
+ * Reproduce un perfil de personalidad (v3) grabado previamente.
+ * El archivo se define con PROFILE_FIXTURE; si no existe se usa el de ejemplo.
+ */
+module.exports = {
+  name: 'fixture',
+  async profile(text) {
+    const fixturePath = config.profile.fixture || DEFAULT_FIXTURE;
+    return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  }
+};
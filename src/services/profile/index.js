@@ -0,0 +1,46 @@
+const none = require('./none');
+const local = require('./local');
+const fixture = require('./fixture');
+const personality_insights = require('./personality_insights');
+const config = require('../../config');
+
+/**
+ * Proveedores de perfil de personalidad disponibles.
+ * Todos exponen profile(text) y devuelven un perfil con el formato v3 de Personality Insights,
+ * o null si no hay perfil (proveedor none, o texto demasiado corto para el modelo local):
+ *
+ * {
+ *   word_count, processed_language,
+ *   personality: [{ trait_id, name, category, percentile, children: [facetas] }],
+ *   needs: [{ trait_id, name, category, percentile }],
+ *   values: [{ trait_id, name, category, percentile }],
+ *   approximate: true si es una estimación del modelo local
+ * }
+ */
+const providers = {
+  [none.name]: none,
+  [local.name]: local,
+  [fixture.name]: fixture,
+  [personality_insights.name]: personality_insights
+};
+
+/**
+ * Obtener el proveedor configurado en PROFILE_PROVIDER
+ * @param {string} [name] - Nombre explícito del proveedor
+ * @returns {object} - Proveedor de perfil
+ */
+function getProvider(name = config.profile.provider) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new config.ConfigError(`Proveedor de perfil desconocido en env PROFILE_PROVIDER: ${name}`, { requiredVar: 'PROFILE_PROVIDER' });
+  }
+  return provider;
+}
+
+module.exports = {
+  providers,
+  getProvider,
+  profile(text) {
+    return getProvider().profile(text);
+  }
+};
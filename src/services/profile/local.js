@@ -0,0 +1,82 @@
+const PersonalityTraitInfo = require('personality-trait-info');
+const lexicon = require('./lexicon/es.json');
+
+// Amplitud de la escala: con pocas coincidencias el percentil se mantiene cerca de 0.5
+const SPREAD = 0.45;
+const SENSITIVITY = 25;
+const MIN_WORDS = 25;
+
+const traitInfo = new PersonalityTraitInfo({ version: 'v3', locale: 'es' });
+
+// Minúsculas y sin acentos para comparar contra las raíces del léxico
+function normalize(word) {
+  return word.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function tokenize(text) {
+  return (text.match(/[\p{L}\p{N}]+/gu) || []).map(normalize);
+}
+
+/**
+ * Percentil de una dimensión según las palabras del texto que coinciden con sus raíces
+ * @param {Array<string>} words - Tokens normalizados
+ * @param {object} stems - { positive: [...], negative: [...] }
+ * @returns {number} - Percentil entre 0 y 1
+ */
+function percentile(words, stems) {
+  const hits = list => words.filter(word => list.some(stem => word.startsWith(stem))).length;
+  const balance = hits(stems.positive) - hits(stems.negative);
+  const value = 0.5 + SPREAD * Math.tanh(balance * SENSITIVITY / Math.max(words.length, MIN_WORDS));
+  return Math.round(value * 10000) / 10000;
+}
+
+function trait(id, category, score, children) {
+  const item = {
+    trait_id: id,
+    name: traitInfo.name(id),
+    category,
+    percentile: score,
+    significant: true
+  };
+  if (children) {
+    item.children = children;
+  }
+  return item;
+}
+
+/**
+ * Modelo local de personalidad en español: aproxima un perfil v3 (Big Five con facetas,
+ * necesidades y valores) a partir de raíces de palabras (lexicon/es.json). No sustituye a un
+ * modelo entrenado, pero permite generar el reporte sin servicios externos; por eso el perfil se
+ * marca como aproximado y el reporte lo indica. Con menos de MIN_WORDS palabras no hay perfil.
+ */
+module.exports = {
+  name: 'local',
+  async profile(text) {
+    const words = tokenize(text);
+    if (words.length < MIN_WORDS) {
+      return null;
+    }
+
+    const personality = Object.entries(lexicon.personality).map(([id, facets]) => {
+      const children = Object.entries(facets).map(([facetId, stems]) =>
+        trait(facetId, 'personality', percentile(words, stems)));
+      // El rasgo es el promedio de sus facetas
+      const score = children.reduce((sum, facet) => sum + facet.percentile, 0) / children.length;
+      return trait(id, 'personality', Math.round(score * 10000) / 10000, children);
+    });
+
+    const needs = Object.entries(lexicon.needs).map(([id, stems]) => trait(id, 'needs', percentile(words, stems)));
+    const values = Object.entries(lexicon.values).map(([id, stems]) => trait(id, 'values', percentile(words, stems)));
+
+    return {
+      word_count: words.length,
+      processed_language: 'es',
+      personality,
+      needs,
+      values,
+      warnings: [],
+      approximate: true
+    };
+  }
+};
@@ -0,0 +1,10 @@
+/**
+ * Sin perfil de personalidad: el reporte omite la sección "Retrato de la Personalidad".
+ * Es el valor por omisión; el perfil se activa eligiendo explícitamente un proveedor.
+ */
+module.exports = {
+  name: 'none',
+  async profile() {
+    return null;
+  }
+};
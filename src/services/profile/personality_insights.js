@@ -0,0 +1,12 @@
+const api_pi = require("../api_personality");
+
+/**
+ * Servicio compatible con la API v3 de Personality Insights (/v3/profile),
+ * configurado con PROFILE_API_URL. Devuelve el perfil tal como lo entrega el servicio.
+ */
+module.exports = {
+  name: 'personality_insights',
+  async profile(text) {
+    return api_pi.getProfile(text);
+  }
+};
@@ -0,0 +1,69 @@
+const moment = require('moment');
+
+// Claves de entidad federativa de RENAPO (NE = nacido en el extranjero)
+const STATES = [
+  'AS', 'BC', 'BS', 'CC', 'CL', 'CM', 'CS', 'CH', 'DF', 'DG', 'GT', 'GR', 'HG', 'JC', 'MC', 'MN',
+  'MS', 'NT', 'NL', 'OC', 'PL', 'QT', 'QR', 'SP', 'SL', 'SR', 'TC', 'TS', 'TL', 'VZ', 'YN', 'ZS', 'NE'
+];
+
+// Diccionario para el cálculo del dígito verificador (incluye la Ñ)
+const DICTIONARY = '0123456789ABCDEFGHIJKLMNÑOPQRSTUVWXYZ';
+
+// Cada segmento de la CURP con su expresión oficial y el mensaje a mostrar si no coincide
+const SEGMENTS = [
+  { from: 0, to: 4, pattern: /^[A-Z][AEIOUX][A-Z]{2}$/, message: 'Las primeras cuatro letras de la CURP no son válidas.' },
+  { from: 4, to: 10, pattern: /^\d{2}(0[1-9]|1[0-2])(0[1-9]|[12]\d|3[01])$/, message: 'La fecha de nacimiento de la CURP no es válida.' },
+  // RENAPO emite además la clave X (no binario) desde 2023
+  { from: 10, to: 11, pattern: /^[HMX]$/, message: 'El sexo indicado en la CURP no es válido.' },
+  { from: 11, to: 13, pattern: new RegExp('^(' + STATES.join('|') + ')$'), message: 'La entidad federativa de la CURP no es válida.' },
+  { from: 13, to: 16, pattern: /^[B-DF-HJ-NP-TV-Z]{3}$/, message: 'Las consonantes internas de la CURP no son válidas.' },
+  { from: 16, to: 17, pattern: /^[A-Z\d]$/, message: 'La homoclave de la CURP no es válida.' },
+  { from: 17, to: 18, pattern: /^\d$/, message: 'El dígito verificador de la CURP no es válido.' }
+];
+
+/**
+ * Calcular el dígito verificador de una CURP a partir de sus primeros 17 caracteres
+ * @param {string} curp17 - Primeros 17 caracteres de la CURP
+ * @returns {number} - Dígito verificador esperado
+ */
+function checkDigit(curp17) {
+  let sum = 0;
+  for (let i = 0; i < 17; i++) {
+    sum += DICTIONARY.indexOf(curp17.charAt(i)) * (18 - i);
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Validar estructura, fecha de nacimiento y dígito verificador de una CURP
+ * @param {string} curp - CURP en mayúsculas
+ * @returns {string|null} - Mensaje del primer error encontrado, o null si es válida
+ */
+function validate(curp) {
+  if (curp.length !== 18) {
+    return 'Se requieren 18 caracteres';
+  }
+
+  for (const segment of SEGMENTS) {
+    if (!segment.pattern.test(curp.substring(segment.from, segment.to))) {
+      return segment.message;
+    }
+  }
+
+  // La homoclave distingue el siglo: dígito para nacidos antes de 2000, letra a partir de 2000
+  const century = /\d/.test(curp.charAt(16)) ? '19' : '20';
+  if (!moment(century + curp.substring(4, 10), 'YYYYMMDD', true).isValid()) {
+    return 'La fecha de nacimiento de la CURP no es válida.';
+  }
+
+  if (checkDigit(curp) !== parseInt(curp.charAt(17), 10)) {
+    return 'El dígito verificador de la CURP no es válido.';
+  }
+
+  return null;
+}
+
+module.exports = {
+  checkDigit,
+  validate,
+};
@@ -1,32 +1,85 @@
 const { check, validationResult } = require("express-validator");
+const survey = require("../helpers/survey");
+const curp = require("./curp");
 
-exports.encuesta = [
-  check("q1").not().isEmpty().withMessage("Esta pregunta es obligatoria."),
-  check("q2").not().isEmpty().withMessage("Esta pregunta es obligatoria."),
-  check("q3").not().isEmpty().withMessage("Esta pregunta es obligatoria."),
-  check("q4").not().isEmpty().withMessage("Esta pregunta es obligatoria."),
-  check("q5").not().isEmpty().withMessage("Esta pregunta es obligatoria."),
-  check("q6").not().isEmpty().withMessage("Esta pregunta es obligatoria."),
-  check("q7").not().isEmpty().withMessage("Esta pregunta es obligatoria."),
-  check("q8").not().isEmpty().withMessage("Esta pregunta es obligatoria."),
-  check("q10").not().isEmpty().withMessage("Esta pregunta es obligatoria."),
-  check("q11").not().isEmpty().withMessage("Esta pregunta es obligatoria."),
-  check("comments")
-    .trim()
+/**
+ * Reglas de validación de una pregunta según su tipo en la definición de la encuesta
+ * @param {object} definition - Definición de la encuesta
+ * @param {object} question - Pregunta de la definición
+ * @returns {object} - Cadena de express-validator
+ */
+function questionRule(definition, question) {
+  let rule = check(question.id);
+
+  if (!question.required) {
+    rule = rule.optional({ checkFalsy: true });
+  }
+
+  if (question.type === survey.TYPES.TEXT) {
+    rule = rule
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage("Esta pregunta es obligatoria.")
+      .bail();
+    if (question.min_words) {
+      rule = rule
+        .custom((value, { req }) => {
+          let words = value.split(/\s+/).length;
+          if (words < question.min_words) {
+            throw new Error(`Se requieren mínimo ${question.min_words} palabras.`);
+          }
+          return true;
+        })
+        .bail();
+    }
+    if (question.max_length) {
+      rule = rule
+        .isLength({ max: question.max_length })
+        .withMessage(`El comentario no debe exceder ${question.max_length} caracteres.`);
+    }
+    return rule;
+  }
+
+  const values = survey.optionsFor(definition, question).map(o => o.value);
+  return rule
     .not()
     .isEmpty()
     .withMessage("Esta pregunta es obligatoria.")
     .bail()
-    .custom((value, { req }) => {
-      let words = value.split(/\s+/).length;
-      if (words < 100) {
-        throw new Error('Se requieren mínimo 100 palabras.');
+    .isIn(values)
+    .withMessage("Respuesta no válida.");
+}
+
+exports.encuesta = [
+  check("submission_id").isUUID().withMessage("Identificador de envío inválido."),
+  check("external_code").trim().not().isEmpty().withMessage("Este atributo es obligatorio."),
+  check("survey").custom((value, { req }) => {
+    if (!survey.exists(value)) {
+      throw new Error('Encuesta no válida.');
+    }
+    // Sólo la ola que corresponde a la antigüedad del empleado, con la fecha de ingreso del token de /search
+    const employee = (req.user && req.user.employee) || {};
+    if (!survey.eligible(employee.hire_date).some(definition => definition.id === value)) {
+      throw new Error('Esta encuesta no está disponible para tu fecha de ingreso.');
+    }
+    return true;
+  }),
+  // Las preguntas se validan con la definición vigente de la ola, por lo que se construyen en cada petición
+  async (req, res, next) => {
+    try {
+      if (!survey.exists(req.body.survey)) {
+        return next();
       }
-      return true;
-    })
-    .bail()
-    .isLength({ max: 2500 })
-    .withMessage('El comentario no debe exceder 2500 caracteres.'),
+      const definition = survey.load(req.body.survey);
+      for (const question of definition.questions) {
+        await questionRule(definition, question).run(req);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  },
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty())
@@ -44,7 +97,14 @@ exports.curp = [
     .isEmpty()
     .withMessage("Este atributo es obligatorio.")
     .bail()
-    .isLength({min: 18, max: 18}).withMessage('Se requieren 18 caracteres'),
+    .toUpperCase()
+    .custom(value => {
+      const error = curp.validate(value);
+      if (error) {
+        throw new Error(error);
+      }
+      return true;
+    }),
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty())
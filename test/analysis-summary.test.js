@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const analysis = require('../src/services/analysis');
+const analysisSummary = require('../src/helpers/analysis-summary');
+
+function topic(text, score, emotion = null) {
+  const label = score > 0 ? 'positive' : (score < 0 ? 'negative' : 'neutral');
+  return { text, relevance: 1, count: 1, sentiment: { score, label }, emotion };
+}
+
+describe('analysis-summary', () => {
+  it('nombra el tono, la emoción dominante y los temas más negativos', async () => {
+    const result = await analysis.getProvider('fixture').analyze('');
+    const summary = analysisSummary.getSummary(result);
+
+    assert.match(summary[0], /tono neutral/);
+    assert.match(summary[1], /la alegría \(\d+%\)/);
+    assert.equal(summary[2], 'Los temas con las opiniones más negativas son "computadora de trabajo", "acompañamiento" y "configuración".');
+    assert.match(summary[3], /"Recursos Humanos"/);
+  });
+
+  it('genera el mismo resumen en inglés', async () => {
+    const result = await analysis.getProvider('fixture').analyze('');
+    const summary = analysisSummary.getSummary(result, 'en');
+
+    assert.equal(summary[0], 'Overall, the comment has a neutral tone.');
+    assert.match(summary[2], /^The most negative topics are "computadora de trabajo", "acompañamiento" and "configuración"\.$/);
+  });
+
+  it('usa el singular, reporta la ausencia de temas negativos y textos sin temas', () => {
+    const negative = analysisSummary.getSummary({
+      keywords: [topic('computadora', -0.8, { sadness: 0.1, joy: 0, fear: 0, disgust: 0, anger: 0.6 })],
+      entities: []
+    });
+    assert.deepEqual(negative, [
+      'En general, el comentario tiene un tono negativo.',
+      'La emoción predominante es el enojo (60%).',
+      'El tema con la opinión más negativa es "computadora".'
+    ]);
+
+    const positive = analysisSummary.getSummary({ keywords: [topic('capacitación', 0.9)], entities: [] });
+    assert.deepEqual(positive, [
+      'En general, el comentario tiene un tono positivo.',
+      'No se detectaron temas con opinión negativa.',
+      'Se expresa de forma favorable sobre "capacitación".'
+    ]);
+
+    assert.deepEqual(analysisSummary.getSummary({ keywords: [], entities: [] }), ['El comentario no contiene temas suficientes para generar un resumen.']);
+  });
+
+  it('toma el tono y la emoción del documento cuando el análisis los incluye', () => {
+    const summary = analysisSummary.getSummary({
+      document: {
+        sentiment: { score: -0.4, label: 'negative' },
+        emotion: { sadness: 0.7, joy: 0.1, fear: 0.1, disgust: 0.05, anger: 0.2 }
+      },
+      keywords: [topic('capacitación', 0.9, { sadness: 0, joy: 0.9, fear: 0, disgust: 0, anger: 0 })],
+      entities: []
+    });
+
+    assert.equal(summary[0], 'En general, el comentario tiene un tono negativo.');
+    assert.equal(summary[1], 'La emoción predominante es la tristeza (70%).');
+  });
+
+  it('resume el tono del documento aunque el comentario no tenga temas', () => {
+    const summary = analysisSummary.getSummary({
+      document: {
+        sentiment: { score: 0.8, label: 'positive' },
+        emotion: { sadness: 0.05, joy: 0.85, fear: 0, disgust: 0, anger: 0.1 }
+      },
+      keywords: [],
+      entities: []
+    });
+
+    assert.deepEqual(summary, [
+      'En general, el comentario tiene un tono positivo.',
+      'La emoción predominante es la alegría (85%).',
+      'No se detectaron temas con opinión negativa.'
+    ]);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const harness = require('./support/harness');
+
+describe('auth', () => {
+  let ctx;
+  let auth;
+
+  before(async () => {
+    ctx = await harness.start();
+    auth = require('../src/auth');
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  beforeEach(() => {
+    ctx.reset();
+  });
+
+  function addUser(username, password, roles) {
+    fs.writeFileSync(process.env.AUTH_USERS_FILE, JSON.stringify([
+      { username, password: auth.users.hashPassword(password), roles }
+    ]));
+  }
+
+  it('valida la firma y la vigencia de los tokens', () => {
+    const token = auth.tokens.create({ sub: 'ana', roles: ['hr'] });
+    const [body, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'ana', roles: ['operator'], exp: 9999999999 })).toString('base64url');
+
+    assert.deepEqual(auth.tokens.verify(token).roles, ['hr']);
+    assert.equal(auth.tokens.verify(forged + '.' + signature), null);
+    assert.equal(auth.tokens.verify(body + '.x'), null);
+    assert.equal(auth.tokens.verify(auth.tokens.create({ sub: 'ana', roles: ['hr'] }, -1)), null);
+  });
+
+  it('emite tokens a usuarios locales y acepta sus credenciales con Basic', async () => {
+    addUser('ana', 'contraseña segura', ['hr']);
+
+    assert.equal((await ctx.client.post('/auth/token', { username: 'ana', password: 'otra' })).status, 401);
+    const res = await ctx.client.post('/auth/token', { username: 'ana', password: 'contraseña segura' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.data.roles, ['hr']);
+
+    const headers = { Authorization: 'Bearer ' + res.data.token };
+    assert.equal((await ctx.client.get('/reportes/encuesta/no-existe', { headers })).status, 404);
+    const basic = await ctx.client.get('/reportes/encuesta/no-existe', { auth: { username: 'ana', password: 'contraseña segura' } });
+    assert.equal(basic.status, 404);
+  });
+
+  it('bloquea usuario e IP tras varios intentos fallidos, con token o con Basic', async () => {
+    addUser('ana', 'contraseña segura', ['hr']);
+    const basic = password => ctx.client.get('/reportes/encuesta/no-existe', { auth: { username: 'ana', password } });
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await ctx.client.post('/auth/token', { username: 'ana', password: 'otra' })).status, 401);
+    }
+    assert.equal((await basic('otra')).status, 401);
+    assert.equal((await basic('otra')).status, 401);
+
+    const res = await ctx.client.post('/auth/token', { username: 'ana', password: 'contraseña segura' });
+    assert.equal(res.status, 429);
+    assert.equal(Number(res.headers['retry-after']) > 0, true);
+    assert.equal((await basic('contraseña segura')).status, 429);
+    assert.equal(ctx.logs('WARN_AUTH_THROTTLED').length, 2);
+
+    // Otro usuario desde la misma IP no queda bloqueado
+    assert.equal((await ctx.client.post('/auth/token', { username: 'luis', password: 'otra' })).status, 401);
+  });
+
+  it('restringe las rutas de diagnóstico al rol de operación', async () => {
+    const unauthorized = await ctx.client.get('/test-error');
+    assert.equal(unauthorized.status, 401);
+    assert.match(unauthorized.headers['www-authenticate'], /^Basic /);
+    assert.equal((await ctx.as('hr').get('/test-error')).status, 403);
+    assert.equal((await ctx.as('employee', '10001').get('/test')).status, 403);
+    assert.equal(ctx.logs('ERR_SERVER').length, 0);
+
+    assert.equal((await ctx.as('operator').get('/test-error')).status, 200);
+    assert.equal(ctx.logs('ERR_SERVER').length, 1);
+  });
+
+  it('un empleado sólo envía y consulta su propia encuesta', async () => {
+    const body = harness.answers('onboarding-30', '10001');
+
+    assert.equal((await ctx.client.post('/encuesta', body)).status, 401);
+    assert.equal((await ctx.as('employee', '10002').post('/encuesta', body)).status, 403);
+    assert.equal((await ctx.as('employee', '10001').post('/encuesta', body)).status, 202);
+
+    assert.equal((await ctx.as('employee', '10002').get('/encuesta/' + body.submission_id)).status, 404);
+    assert.equal((await ctx.as('operator').get('/encuesta/' + body.submission_id)).status, 200);
+    assert.equal((await ctx.as('employee', '10001').get(`/encuesta/${body.submission_id}/charts/sentiment.svg`)).status, 403);
+  });
+});
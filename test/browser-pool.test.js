@@ -0,0 +1,121 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'onb-pool-'));
+Object.assign(process.env, { LOG_FILE: path.join(dir, 'application.log'), EMAIL_USER: '' });
+
+const { createBrowserPool } = require('../src/helpers/browser-pool');
+
+// Navegador simulado: cuenta lanzamientos y páginas abiertas
+function fakeLauncher() {
+  const launcher = { launches: 0, open: 0, maxOpen: 0, browsers: [] };
+  launcher.launch = async () => {
+    launcher.launches++;
+    const browser = new EventEmitter();
+    browser.connected = true;
+    browser.newPage = async () => {
+      launcher.open++;
+      launcher.maxOpen = Math.max(launcher.maxOpen, launcher.open);
+      return { close: async () => { launcher.open--; } };
+    };
+    browser.close = async () => { browser.crash(); };
+    browser.crash = () => {
+      browser.connected = false;
+      browser.emit('disconnected');
+    };
+    launcher.browsers.push(browser);
+    return browser;
+  };
+  return launcher;
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('browser-pool', () => {
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('comparte un solo navegador y limita las páginas simultáneas', async () => {
+    const launcher = fakeLauncher();
+    const pool = createBrowserPool({ size: 2, launch: launcher.launch });
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(n => pool.withPage(async () => {
+      await delay(10);
+      return n;
+    })));
+
+    assert.deepEqual(results, [1, 2, 3, 4, 5]);
+    assert.equal(launcher.launches, 1);
+    assert.equal(launcher.maxOpen, 2);
+    assert.equal(launcher.open, 0);
+    assert.equal(pool.stats().active, 0);
+    await pool.close();
+  });
+
+  it('vuelve a lanzar el navegador si se desconecta', async () => {
+    const launcher = fakeLauncher();
+    const pool = createBrowserPool({ launch: launcher.launch });
+
+    await pool.withPage(async () => {});
+    launcher.browsers[0].crash();
+    await pool.withPage(async () => {});
+
+    assert.equal(launcher.launches, 2);
+    await pool.close();
+  });
+
+  it('cancela un render que excede el tiempo y libera su lugar', async () => {
+    const launcher = fakeLauncher();
+    const pool = createBrowserPool({ size: 1, renderTimeout: 20, launch: launcher.launch });
+
+    await assert.rejects(pool.withPage(() => new Promise(() => {})), { code: 'PDF_RENDER_TIMEOUT' });
+    assert.equal(await pool.withPage(async () => 'ok'), 'ok');
+    assert.equal(launcher.open, 0);
+    await pool.close();
+  });
+
+  it('corta un lanzamiento o una página que no responden y descarta el navegador', async () => {
+    const launcher = fakeLauncher();
+    let hangs = 1;
+    const pool = createBrowserPool({ size: 1, renderTimeout: 20, launch: () => (hangs-- > 0 ? new Promise(() => {}) : launcher.launch()) });
+
+    await assert.rejects(pool.withPage(async () => 'ok'), { code: 'PDF_RENDER_TIMEOUT' });
+    assert.equal(await pool.withPage(async () => 'ok'), 'ok');
+
+    launcher.browsers[0].newPage = () => new Promise(() => {});
+    await assert.rejects(pool.withPage(async () => 'ok'), { code: 'PDF_RENDER_TIMEOUT' });
+    assert.equal(launcher.browsers[0].connected, false);
+    assert.equal(await pool.withPage(async () => 'ok'), 'ok');
+
+    assert.equal(launcher.launches, 2);
+    assert.equal(pool.stats().active, 0);
+    await pool.close();
+  });
+
+  it('rechaza renders cuando la cola de espera está llena', async () => {
+    const launcher = fakeLauncher();
+    const pool = createBrowserPool({ size: 1, queueLimit: 1, launch: launcher.launch });
+
+    const first = pool.withPage(() => delay(20));
+    const second = pool.withPage(() => delay(1));
+    await assert.rejects(pool.withPage(async () => {}), { code: 'PDF_QUEUE_FULL' });
+    await Promise.all([first, second]);
+    await pool.close();
+  });
+
+  it('no acepta renders después de cerrarse', async () => {
+    const launcher = fakeLauncher();
+    const pool = createBrowserPool({ launch: launcher.launch });
+
+    await pool.withPage(async () => {});
+    await pool.close();
+
+    assert.equal(launcher.browsers[0].connected, false);
+    await assert.rejects(pool.withPage(async () => {}), /cerrado/);
+  });
+});
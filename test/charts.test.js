@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const charts = require('../src/helpers/charts');
+
+const EMOTION = { sadness: 0.1, joy: 0.6, fear: 0.1, disgust: 0.05, anger: 0.15 };
+
+describe('charts', () => {
+  it('dibuja las barras divergentes hacia el lado de su sentimiento', () => {
+    const svg = charts.divergingBars([
+      { label: 'computadora', score: -0.5 },
+      { label: 'Estafeta', score: 0.8 }
+    ]);
+
+    assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+    assert.match(svg, /fill="red"/);
+    assert.match(svg, /fill="green"/);
+    assert.match(svg, />-0\.50</);
+    assert.match(svg, />0\.80</);
+  });
+
+  it('escapa los textos que vienen del análisis', () => {
+    const svg = charts.radar(EMOTION, { title: '<script>alert(1)</script>' });
+
+    assert.doesNotMatch(svg, /<script>/);
+    assert.match(svg, /&lt;script&gt;/);
+  });
+
+  it('reparte la barra apilada según la proporción de cada emoción', () => {
+    const svg = charts.stackedBars([{ label: 'Comentario', emotion: EMOTION }], { width: 610 });
+
+    // 450 px de barra: alegría ocupa el 60 %
+    assert.match(svg, /width="270" height="20" fill="#f0ad1c"/);
+    assert.match(svg, />60%</);
+  });
+
+  it('arma las gráficas de un análisis por nombre', () => {
+    const analysis = {
+      document: { sentiment: { score: 0.3, label: 'positive' }, emotion: EMOTION },
+      keywords: [{ text: 'capacitación', sentiment: { score: 0.7, label: 'positive' }, emotion: EMOTION }],
+      entities: []
+    };
+
+    assert.match(charts.fromAnalysis('sentiment', analysis), /capacitación/);
+    assert.match(charts.fromAnalysis('emotions', analysis), /Comentario/);
+    assert.match(charts.fromAnalysis('radar', analysis, { topic: 'capacitación' }), /<polygon/);
+    assert.equal(charts.fromAnalysis('radar', analysis, { topic: 'otro' }), null);
+    assert.equal(charts.fromAnalysis('pie', analysis), null);
+  });
+});
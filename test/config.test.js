@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config');
+
+const NLU = { API_PI_URL: 'https://nlu.example/v1/analyze', API_PI_USER: 'apikey', API_PI_PASS: 'secreto' };
+
+describe('config', () => {
+  it('aplica los valores por omisión del perfil y convierte los tipos', () => {
+    const loaded = config.load(Object.assign({ AUTH_TOKEN_SECRET: 'clave', QUEUE_MAX_ATTEMPTS: '3', TEC_EMAIL_LOCALE: 'en-US' }, NLU));
+
+    assert.deepEqual(loaded.errors, []);
+    assert.equal(loaded.env, 'development');
+    assert.equal(loaded.config.successfactors.url, 'http://localhost:4010/odata/v2/');
+    assert.equal(loaded.config.queue.maxAttempts, 3);
+    assert.equal(loaded.config.queue.pollInterval, 5000);
+    assert.equal(loaded.config.analysis.provider, 'ibm_nlu');
+    assert.equal(loaded.config.email.recipients.tec.locale, 'en-US');
+
+    const test = config.load({ NODE_ENV: 'test', AUTH_TOKEN_SECRET: 'clave', API_SUCCESSF_URL: 'http://127.0.0.1/odata/v2/', API_SUCCESSF_USER: 'u', API_SUCCESSF_PASSWORD: 'p' });
+    assert.deepEqual(test.errors, []);
+    assert.equal(test.config.analysis.provider, 'fixture');
+  });
+
+  it('en producción exige los servicios externos y falla con un reporte de todos los problemas', () => {
+    const loaded = config.load({ NODE_ENV: 'production', PROFILE_PROVIDER: 'personality_insights' });
+
+    assert.deepEqual(loaded.errors, [
+      'API_SUCCESSF_URL: falta el valor',
+      'API_SUCCESSF_USER: falta el valor',
+      'API_SUCCESSF_PASSWORD: falta el valor',
+      'API_PI_URL: falta el valor',
+      'API_PI_USER: falta el valor',
+      'API_PI_PASS: falta el valor',
+      'PROFILE_API_URL: falta el valor',
+      'PROFILE_API_KEY: falta el valor',
+      'AUTH_TOKEN_SECRET: falta el valor'
+    ]);
+    assert.throws(() => config.validate(loaded), error =>
+      error instanceof config.ConfigError &&
+      error.requiredVar === 'API_SUCCESSF_URL' &&
+      error.problems.length === 9 &&
+      /perfil production/.test(error.message) &&
+      /AUTH_TOKEN_SECRET: falta el valor/.test(error.message));
+  });
+
+  it('rechaza URLs, números y proveedores inválidos y advierte idiomas no soportados', () => {
+    const loaded = config.load({
+      AUTH_TOKEN_SECRET: 'clave',
+      API_SUCCESSF_URL: 'https://api.successfactors.example/odata/v2',
+      ANALYSIS_PROVIDER: 'watson',
+      PROFILE_API_URL: 'ftp://perfil.example',
+      PDF_POOL_SIZE: '0',
+      REPORT_LOCALE: 'fr',
+      EMAIL_USER: 'onboarding@example.com'
+    });
+
+    assert.deepEqual(loaded.errors, [
+      'API_SUCCESSF_URL: debe terminar en "/"',
+      'ANALYSIS_PROVIDER: valor desconocido "watson" (use ibm_nlu, lexicon, fixture)',
+      'PROFILE_API_URL: se esperaba una URL http(s)',
+      'PDF_POOL_SIZE: se esperaba un entero positivo'
+    ]);
+    assert.deepEqual(loaded.warnings, [
+      'REPORT_LOCALE: idioma "fr" no soportado, se usará el idioma por omisión',
+      'EMAIL_PASSWORD: falta la contraseña del remitente, los correos fallarán',
+      'EMAIL_USER: no hay destinatarios (ADMIN_EMAIL, ING_EMAIL, TEC_EMAIL), no se enviarán correos'
+    ]);
+    assert.equal(loaded.config.reportLocale, null);
+  });
+});
@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const curp = require('../src/validators/curp');
+
+describe('validators/curp', () => {
+  it('calcula el dígito verificador de CURPs conocidas', () => {
+    assert.equal(curp.checkDigit('HEGG560427MVZRRL0'), 4);
+    assert.equal(curp.checkDigit('LOOA531113HTCPBN0'), 7);
+    assert.equal(curp.validate('HEGG560427MVZRRL04'), null);
+    assert.equal(curp.validate('LOOA531113HTCPBN07'), null);
+  });
+
+  it('indica el segmento que no es válido', () => {
+    const cases = [
+      ['HEGG56042MVZRRL04', 'Se requieren 18 caracteres'],
+      ['H3GG560427MVZRRL04', 'Las primeras cuatro letras de la CURP no son válidas.'],
+      ['HEGG561327MVZRRL04', 'La fecha de nacimiento de la CURP no es válida.'],
+      // Cumple el formato pero el día no existe
+      ['HEGG560230MVZRRL04', 'La fecha de nacimiento de la CURP no es válida.'],
+      ['HEGG560427KVZRRL04', 'El sexo indicado en la CURP no es válido.'],
+      ['HEGG560427MZZRRL04', 'La entidad federativa de la CURP no es válida.'],
+      ['HEGG560427MVZARL04', 'Las consonantes internas de la CURP no son válidas.'],
+      ['HEGG560427MVZRRL05', 'El dígito verificador de la CURP no es válido.']
+    ];
+
+    cases.forEach(([value, message]) => assert.equal(curp.validate(value), message, value));
+  });
+});
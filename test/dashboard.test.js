@@ -0,0 +1,84 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./support/harness');
+
+describe('dashboard', () => {
+  let ctx;
+  let dashboard;
+  let survey;
+
+  before(async () => {
+    ctx = await harness.start();
+    dashboard = require('../src/helpers/dashboard');
+    survey = require('../src/helpers/survey');
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  beforeEach(() => {
+    ctx.reset();
+  });
+
+  function record(answers, extra = {}) {
+    return Object.assign({ survey: 'onboarding-30', department: 'Ventas', hire_date: '2026-09-01', submitted_at: '2026-10-07T15:00:00.000Z', answers }, extra);
+  }
+
+  it('calcula porcentajes de sí, distribución de escalas y tendencia semanal', () => {
+    const records = [
+      record({ cust_curso_induccion: true, cust_apoyo_lider: true, cust_reclutamiento_seleccion: '5' }),
+      record({ cust_curso_induccion: false, cust_apoyo_lider: true, cust_reclutamiento_seleccion: '3' }),
+      record({ cust_apoyo_lider: false, cust_proceso_bienvenida: '4' }, { submitted_at: '2026-10-14T15:00:00.000Z' })
+    ];
+
+    const summary = dashboard.summarize(records, survey.list());
+
+    assert.equal(summary.total, 3);
+    const induccion = summary.yes_no.find(item => item.field === 'cust_curso_induccion');
+    assert.deepEqual([induccion.yes, induccion.no, induccion.yes_rate], [1, 1, 0.5]);
+    assert.equal(summary.yes_no[summary.yes_no.length - 1].field, 'cust_clara_idea');
+
+    const reclutamiento = summary.scales.find(item => item.field === 'cust_reclutamiento_seleccion');
+    assert.equal(reclutamiento.average, 4);
+    assert.deepEqual(reclutamiento.distribution.map(option => option.count), [0, 0, 1, 0, 1]);
+
+    assert.deepEqual(summary.weekly.map(week => [week.week, week.total, week.yes_rate]), [
+      ['2026-10-05', 2, 0.75],
+      ['2026-10-12', 1, 0]
+    ]);
+    assert.equal(summary.weekly[1].averages.cust_proceso_bienvenida, 4);
+  });
+
+  it('filtra por área y cohorte de ingreso', () => {
+    const records = [record({}), record({}, { department: 'Operaciones' }), record({}, { hire_date: '2026-08-20' })];
+
+    assert.equal(dashboard.applyFilters(records, { department: 'Ventas' }).length, 2);
+    assert.equal(dashboard.applyFilters(records, { cohort: '2026-08' }).length, 1);
+    assert.equal(dashboard.applyFilters(records, { department: 'Ventas', cohort: '2026-09' }).length, 1);
+  });
+
+  it('guarda las respuestas de cada envío completado con el área del empleado y las muestra a Recursos Humanos', async () => {
+    const search = await ctx.client.post('/search', { curp: 'HEGG560427MVZRRL04' });
+    const body = harness.answers('onboarding-30', '10001');
+    const sent = await ctx.client.post('/encuesta', body, { headers: { Authorization: 'Bearer ' + search.data.token } });
+    assert.equal(sent.status, 202);
+
+    assert.equal((await ctx.as('employee', '10001').get('/dashboard/api')).status, 403);
+    // Sólo cuenta cuando llega a SuccessFactors
+    assert.equal((await ctx.as('hr').get('/dashboard/api')).data.total, 0);
+    await ctx.worker.runOnce();
+
+    const api = await ctx.as('hr').get('/dashboard/api', { params: { department: 'Administración' } });
+    assert.equal(api.status, 200);
+    assert.equal(api.data.total, 1);
+    assert.deepEqual(api.data.options.departments, ['Administración']);
+    assert.equal(api.data.yes_no.find(item => item.field === 'cust_curso_induccion').yes, 1);
+    assert.equal((await ctx.as('hr').get('/dashboard/api', { params: { department: 'Ventas' } })).data.total, 0);
+
+    const page = await ctx.as('hr').get('/dashboard');
+    assert.equal(page.status, 200);
+    assert.match(page.data, /<option value="Administración" >Administración<\/option>/);
+    assert.match(page.data, /Respuestas: <strong>1<\/strong>/);
+  });
+});
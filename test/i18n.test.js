@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const i18n = require('../src/i18n');
+const pdfTemplate = require('../src/helpers/pdf-template');
+const reportViewModel = require('../src/helpers/report-view-model');
+const ibm_nlu = require('../src/services/analysis/ibm_nlu');
+const nluResponse = require('../src/services/analysis/fixtures/nlu_response.json');
+const profile = require('../src/services/profile/fixtures/profile_response.json');
+
+describe('i18n', () => {
+  it('elige el idioma soportado más cercano y usa español por omisión', () => {
+    assert.equal(i18n.resolve('en-US'), 'en');
+    assert.equal(i18n.resolve('fr'), 'es');
+    assert.equal(i18n.resolve(), 'es');
+  });
+
+  it('sustituye variables y recurre al español o a la clave si falta el texto', () => {
+    const t = i18n.translator('en');
+
+    assert.equal(t('email.weekly.generatedAt', { date: '01/06/2026' }), 'Report Generated on 01/06/2026');
+    assert.equal(t('no.existe'), 'no.existe');
+  });
+
+  it('genera el reporte en inglés', () => {
+    const data = reportViewModel.build({ analysis: ibm_nlu.normalize(nluResponse), profile }, 'en');
+    const html = pdfTemplate.render('index', data);
+
+    assert.match(html, /<html lang="en">/);
+    assert.match(html, /Overall, the comment has a neutral tone\./);
+    assert.match(html, />Needs</);
+    assert.match(html, /POSITIVE/);
+    assert.match(html, /<title>Emotions in the comment<\/title>/);
+    assert.doesNotMatch(html, /Necesidades/);
+  });
+});
@@ -0,0 +1,136 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const harness = require('./support/harness');
+
+const CLI = path.join(__dirname, '../bin/onb');
+
+// El CLI consulta al SuccessFactors simulado de este proceso, así que no se puede bloquear con spawnSync
+function onb(args, env = {}) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { env: Object.assign({}, process.env, env), timeout: 60000 }, (error, stdout, stderr) => {
+      resolve({ status: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+describe('bin/onb', () => {
+  let ctx;
+  let dir;
+
+  before(async () => {
+    ctx = await harness.start();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'onb-cli-'));
+  });
+
+  after(async () => {
+    await ctx.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    ctx.reset();
+  });
+
+  it('search muestra el empleado y el estado de cada ola', async () => {
+    const body = harness.answers('onboarding-30', '10001');
+    await ctx.as('employee', '10001').post('/encuesta', body);
+
+    const result = await onb(['search', 'HEGG560427MVZRRL04', '--json']);
+
+    assert.equal(result.status, 0, result.stderr);
+    const found = JSON.parse(result.stdout);
+    assert.equal(found.external_code, '10001');
+    assert.equal(found.department, 'Administración');
+    const wave = found.surveys.find(s => s.survey === 'onboarding-30');
+    assert.equal(wave.answered, false);
+    assert.deepEqual([wave.submission.id, wave.submission.status], [body.submission_id, 'pending']);
+
+    assert.equal((await onb(['search', 'HEGG560427MVZRRL05'])).status, 1);
+  });
+
+  it('replay --from-log vuelve a poner en cola los envíos que agotaron sus reintentos', async () => {
+    const body = harness.answers('onboarding-30', '10001');
+    await ctx.as('employee', '10001').post('/encuesta', body);
+    ctx.sf.locals.db.failures.upsert = 500;
+    ctx.queue.update(body.submission_id, { attempts: 5 });
+    await ctx.worker.runOnce();
+    assert.equal(ctx.queue.get(body.submission_id).status, 'failed');
+
+    const result = await onb(['replay', '--from-log']);
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /1 de 1 envíos reenviados/);
+    assert.equal(ctx.logs('INFO_CLI_REPLAY')[0].data.submission_id, body.submission_id);
+    const requeued = ctx.queue.get(body.submission_id);
+    assert.deepEqual([requeued.status, requeued.attempts], ['pending', 0]);
+
+    ctx.sf.locals.db.failures.upsert = null;
+    await ctx.worker.runOnce();
+    assert.equal(ctx.queue.get(body.submission_id).status, 'completed');
+
+    assert.match((await onb(['replay', body.submission_id])).stdout, /se omite, está completed/);
+  });
+
+  it('replay omite los envíos que no están fallidos y --now no procesa uno que ya tomó el worker', async () => {
+    const body = harness.answers('onboarding-30', '10001');
+    await ctx.as('employee', '10001').post('/encuesta', body);
+
+    const pending = await onb(['replay', body.submission_id, '--now']);
+    assert.match(pending.stdout, /se omite, está pending/);
+    assert.match(pending.stdout, /0 de 1 envíos reenviados/);
+    assert.deepEqual([ctx.queue.get(body.submission_id).attempts, ctx.sf.locals.db.attachments.length], [0, 0]);
+
+    ctx.queue.take(body.submission_id);
+    assert.match((await onb(['replay', body.submission_id])).stdout, /se omite, está processing/);
+
+    const worker = require('../src/helpers/submission-worker');
+    const estafeta = require('../src/routes/estafeta');
+    await assert.rejects(worker.processNow('no-existe', estafeta.processSubmission), /Envío no-existe no encontrado en la cola/);
+    await assert.rejects(worker.processNow(body.submission_id, estafeta.processSubmission), { code: 'SUBMISSION_NOT_PENDING' });
+    assert.equal(ctx.sf.locals.db.attachments.length, 0);
+  });
+
+  it('analyze guarda el análisis de los comentarios que el reporte de temas tiene pendientes', async () => {
+    const body = harness.answers('onboarding-30', '10001');
+    await ctx.as('employee', '10001').post('/encuesta', body);
+    ctx.queue.update(body.submission_id, { status: 'failed' });
+
+    const result = await onb(['analyze']);
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /1 comentarios analizados/);
+    assert.equal(ctx.nlu.requests, 1);
+    assert.equal((await ctx.as('hr').get('/reportes/temas')).data.includes('pendientes de análisis'), false);
+    assert.equal((await onb(['analyze', '--from', 'ayer'])).status, 1);
+  });
+
+  it('pdf guarda el reporte de un texto y env revisa la configuración', async () => {
+    const out = path.join(dir, 'reporte.html');
+    const report = await onb(['pdf', '--text', 'Mi líder me apoyó mucho, pero la computadora llegó tarde.', '--html', '--out', out],
+      { ANALYSIS_PROVIDER: 'lexicon', PROFILE_PROVIDER: 'local' });
+    assert.equal(report.status, 0, report.stderr);
+    assert.match(fs.readFileSync(out, 'utf8'), /computadora/);
+
+    const valid = path.join(dir, 'valido.env');
+    fs.writeFileSync(valid, [
+      'API_SUCCESSF_URL=https://api.successfactors.example/odata/v2/',
+      'API_SUCCESSF_USER=usuario',
+      'API_SUCCESSF_PASSWORD=secreto',
+      'AUTH_TOKEN_SECRET=clave',
+      'ANALYSIS_PROVIDER=lexicon'
+    ].join('\n'));
+    assert.equal((await onb(['env', '--file', valid])).status, 0);
+
+    const invalid = path.join(dir, 'invalido.env');
+    fs.writeFileSync(invalid, 'API_SUCCESSF_URL=https://api.successfactors.example/odata/v2\nQUEUE_MAX_ATTEMPTS=seis\n');
+    const checked = await onb(['env', '--file', invalid]);
+    assert.equal(checked.status, 1);
+    assert.match(checked.stdout, /API_SUCCESSF_URL: debe terminar en "\/"/);
+    assert.match(checked.stdout, /QUEUE_MAX_ATTEMPTS: se esperaba un entero positivo/);
+    assert.match(checked.stdout, /API_PI_URL: falta el valor/);
+  });
+});
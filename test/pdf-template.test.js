@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const pdfTemplate = require('../src/helpers/pdf-template');
+const reportViewModel = require('../src/helpers/report-view-model');
+const ibm_nlu = require('../src/services/analysis/ibm_nlu');
+const nluResponse = require('../src/services/analysis/fixtures/nlu_response.json');
+const profile = require('../src/services/profile/fixtures/profile_response.json');
+
+// Cualquier referencia que haría que Chromium pida algo por red o al servidor de la app
+const EXTERNAL_REFERENCE = /(?:src|href)\s*=\s*["'](?!data:|#)|url\(\s*(?!["']?data:)|@import/i;
+
+function report(analysis = ibm_nlu.normalize(nluResponse)) {
+  return reportViewModel.build({ analysis, profile });
+}
+
+describe('pdf-template', () => {
+  it('incrusta los estilos y fuentes del reporte', () => {
+    const html = pdfTemplate.render('index', report());
+
+    assert.match(html, /<style>/);
+    assert.match(html, /url\("data:font\/woff;base64,/);
+    assert.match(html, /<td>computadora de trabajo<\/td>/);
+    assert.match(html, /En general, el comentario tiene un tono neutral\./);
+    assert.match(html, /<svg [^>]*aria-label="Sentimiento general: 0\.24"/);
+    assert.match(html, /careers › job search \(74\.00%\)/);
+    assert.match(html, /Reclutamiento \(78\.00%\)/);
+    assert.match(html, /<title>Emociones del comentario<\/title>/);
+    // Sólo el marcado: las librerías incrustadas contienen cadenas como "<link" en su código
+    const markup = html.replace(/<script>[\s\S]*?<\/script>/g, '').replace(/<a [^>]*>/g, '');
+    assert.doesNotMatch(markup, /<link/);
+    assert.doesNotMatch(markup, EXTERNAL_REFERENCE);
+  });
+
+  it('escapa los textos del análisis en tablas y gráficas', () => {
+    const analysis = ibm_nlu.normalize(nluResponse);
+    analysis.keywords[0].text = '<img src=x onerror="alert(1)">';
+    const html = pdfTemplate.render('index', report(analysis));
+
+    assert.doesNotMatch(html, /<img src=x/);
+    assert.match(html, /&lt;img src=x onerror=&#34;alert\(1\)&#34;&gt;/);
+    assert.match(html, /&lt;img src=x onerror=&quot;alert\(1\)&quot;&gt;/);
+  });
+
+  it('incluye las librerías de la gráfica circular en lugar de cargarlas de un CDN', () => {
+    const html = pdfTemplate.render('sunburst', {
+      sunburst: report().personality.sunburst
+    });
+
+    assert.doesNotMatch(html, /<script[^>]+src=/);
+    assert.match(html, /PersonalitySunburstChart/);
+    assert.match(html, /data:image\/svg\+xml;base64,/);
+    assert.match(html, /"id":"personality","name":"Cinco grandes"/);
+  });
+
+  it('muestra el retrato de personalidad con rasgos, necesidades y valores', () => {
+    const data = report({ keywords: [], entities: [] });
+    const html = pdfTemplate.render('index', data);
+
+    assert.ok(data.personality.summary.length > 0);
+    data.personality.summary.forEach(paragraph => assert.ok(html.includes(paragraph.slice(0, 40))));
+    assert.match(html, /Apertura a experiencias/);
+    assert.match(html, /Necesidades/);
+    assert.match(html, /Valores/);
+    assert.match(html, /id="sunburstChart"/);
+    assert.match(html, /No se detectaron temas en el comentario\./);
+    assert.doesNotMatch(html, /Estimación aproximada/);
+  });
+
+  it('avisa que el perfil del modelo local es aproximado y omite la sección sin perfil', () => {
+    const analysis = ibm_nlu.normalize(nluResponse);
+    const approximate = reportViewModel.build({ analysis, profile: Object.assign({}, profile, { approximate: true }) });
+    assert.match(pdfTemplate.render('index', approximate), /Estimación aproximada a partir de las palabras del comentario/);
+
+    const html = pdfTemplate.render('index', reportViewModel.build({ analysis, profile: null }));
+    assert.doesNotMatch(html, /Retrato de la Personalidad/);
+    assert.doesNotMatch(html, /id="sunburstChart"/);
+    assert.match(html, /<td>computadora de trabajo<\/td>/);
+  });
+
+  it('rechaza recursos remotos o fuera de public/', () => {
+    assert.throws(() => pdfTemplate.dataUri('https://unpkg.com/d3.js'), /remotos/);
+    assert.throws(() => pdfTemplate.dataUri('../package.json'), /fuera de public/);
+  });
+});
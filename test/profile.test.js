@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const profile = require('../src/services/profile');
+
+// Relleno neutral para llegar al mínimo de palabras del modelo local
+const FILLER = ' El paquete llegó el martes a la oficina de la ciudad y lo recibimos en el almacén junto con las demás cajas del día.';
+
+describe('profile', () => {
+  it('el modelo local devuelve Big Five con facetas, necesidades y valores', async () => {
+    const result = await profile.getProvider('local').profile(
+      'Me gusta ayudar a mis compañeros, aprender cosas nuevas y trabajar con disciplina y orden.' + FILLER
+    );
+
+    assert.equal(result.processed_language, 'es');
+    assert.equal(result.approximate, true);
+    assert.equal(result.personality.length, 5);
+    result.personality.forEach(trait => assert.equal(trait.children.length, 6));
+    assert.equal(result.needs.length, 12);
+    assert.equal(result.values.length, 5);
+    [...result.personality, ...result.needs, ...result.values].forEach(item => {
+      assert.ok(item.percentile >= 0 && item.percentile <= 1);
+    });
+  });
+
+  it('las palabras del léxico mueven el percentil del rasgo', async () => {
+    const local = profile.getProvider('local');
+    const neutral = await local.profile(FILLER + FILLER);
+    const orderly = await local.profile('Soy ordenado, organizado y disciplinado; planeo todo con orden.' + FILLER);
+    const score = (result, id) => result.personality.find(trait => trait.trait_id === id).percentile;
+
+    assert.ok(score(orderly, 'big5_conscientiousness') > score(neutral, 'big5_conscientiousness'));
+  });
+
+  it('sin proveedor explícito o con un texto corto no hay perfil', async () => {
+    assert.equal(profile.getProvider().name, 'none');
+    assert.equal(await profile.getProvider('none').profile('Soy ordenado.' + FILLER), null);
+    assert.equal(await profile.getProvider('local').profile('Soy ordenado, organizado y disciplinado.'), null);
+  });
+
+  it('rechaza un proveedor desconocido', () => {
+    assert.throws(() => profile.getProvider('watson'), { requiredVar: 'PROFILE_PROVIDER' });
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const reportViewModel = require('../src/helpers/report-view-model');
+const ibm_nlu = require('../src/services/analysis/ibm_nlu');
+const nluResponse = require('../src/services/analysis/fixtures/nlu_response.json');
+const profile = require('../src/services/profile/fixtures/profile_response.json');
+
+describe('report-view-model', () => {
+  it('separa los temas por sentimiento y emoción con sus gráficas', () => {
+    const report = reportViewModel.build({ analysis: ibm_nlu.normalize(nluResponse), profile });
+
+    assert.deepEqual(report.sentiment.entities.items[0], { text: 'Estafeta', score: '0.79', label: 'positive' });
+    assert.match(report.sentiment.keywords.chart, /^<svg /);
+    assert.deepEqual(report.emotion.entities[0].scores, { sadness: '5.00', joy: '78.00', fear: '3.00', disgust: '2.00', anger: '2.00' });
+    assert.match(report.emotion.entities[0].chart, /<title>Estafeta<\/title>/);
+    assert.equal(report.document.sentiment.score, '0.24');
+    assert.match(report.document.chart, /^<svg /);
+    assert.equal(report.summary.length, 4);
+  });
+
+  it('no genera gráficas cuando el análisis no trae temas ni documento', () => {
+    const report = reportViewModel.build({ analysis: { keywords: [], entities: [] }, profile });
+
+    assert.deepEqual(report.sentiment.entities, { items: [], chart: '' });
+    assert.deepEqual(report.emotion.keywords, []);
+    assert.equal(report.document.sentiment, null);
+    assert.equal(report.document.chart, '');
+  });
+
+  it('omite el retrato de personalidad sin perfil y marca el del modelo local', () => {
+    const analysis = ibm_nlu.normalize(nluResponse);
+
+    assert.equal(reportViewModel.build({ analysis, profile: null }).personality, null);
+    assert.equal(reportViewModel.build({ analysis, profile }).personality.approximate, false);
+    assert.equal(reportViewModel.build({ analysis, profile: Object.assign({}, profile, { approximate: true }) }).personality.approximate, true);
+  });
+
+  it('acepta un documento con emociones y sin sentimiento', () => {
+    const emotion = { sadness: 0.1, joy: 0.7, fear: 0.05, disgust: 0.05, anger: 0.1 };
+    const report = reportViewModel.build({ analysis: { document: { emotion }, keywords: [], entities: [] }, profile });
+
+    assert.equal(report.document.sentiment, null);
+    assert.equal(report.document.emotion.joy, '70.00');
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./support/harness');
+
+describe('GET /reportes', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await harness.start();
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  beforeEach(() => {
+    ctx.reset();
+  });
+
+  async function submit(external_code = '10001') {
+    const body = harness.answers('onboarding-30', external_code);
+    assert.equal((await ctx.as('employee', external_code).post('/encuesta', body)).status, 202);
+    return body;
+  }
+
+  it('sólo Recursos Humanos consulta los reportes', async () => {
+    const body = await submit();
+
+    assert.equal((await ctx.client.get(`/reportes/encuesta/${body.submission_id}`)).status, 401);
+    assert.equal((await ctx.as('employee', '10001').get(`/reportes/encuesta/${body.submission_id}/pdf`)).status, 403);
+    assert.equal((await ctx.as('operator').get(`/reportes/encuesta/${body.submission_id}`)).status, 403);
+    assert.equal(ctx.nlu.requests, 0);
+  });
+
+  it('muestra la vista previa reutilizando el análisis del envío', async () => {
+    const body = await submit();
+    await ctx.worker.runOnce();
+
+    const res = await ctx.as('hr').get(`/reportes/encuesta/${body.submission_id}`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /^text\/html/);
+    assert.match(res.data, /<html lang="es">/);
+    assert.match(res.data, /computadora de trabajo/);
+    assert.equal(ctx.nlu.requests, 1);
+
+    const english = await ctx.as('hr').get(`/reportes/empleado/10001/onboarding-30?locale=en`);
+    assert.match(english.data, /<html lang="en">/);
+  });
+
+  it('genera el PDF de un envío aún no procesado a partir del comentario guardado', async () => {
+    const body = await submit();
+
+    const res = await ctx.as('hr').get('/reportes/empleado/10001/onboarding-30/pdf', {
+      responseType: 'arraybuffer'
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-type'], 'application/pdf');
+    assert.equal(res.headers['content-disposition'], 'attachment; filename="reporte_10001_onboarding-30.pdf"');
+    assert.match(Buffer.from(res.data).toString(), /^%PDF-/);
+
+    // El análisis queda guardado: el worker ya no vuelve a llamar al proveedor
+    assert.ok(ctx.queue.get(body.submission_id).analysis);
+    await ctx.worker.runOnce();
+    assert.equal(ctx.queue.get(body.submission_id).status, 'completed');
+    assert.equal(ctx.nlu.requests, 1);
+  });
+
+  it('responde 404 si no hay envío', async () => {
+    assert.equal((await ctx.as('hr').get('/reportes/encuesta/no-existe')).status, 404);
+    assert.equal((await ctx.as('hr').get('/reportes/empleado/99999/onboarding-30/pdf')).status, 404);
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const harness = require('./support/harness');
+
+const CLI = path.join(__dirname, '../bin/onb');
+
+describe('response-export', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await harness.start();
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  beforeEach(() => {
+    ctx.reset();
+  });
+
+  async function submit(external_code) {
+    const body = harness.answers('onboarding-30', external_code);
+    assert.equal((await ctx.as('employee', external_code).post('/encuesta', body)).status, 202);
+    return body;
+  }
+
+  it('exporta en CSV con las preguntas de la definición, etiquetas de escala y sentimiento', async () => {
+    const body = await submit('10001');
+    await ctx.worker.runOnce();
+
+    const res = await ctx.as('hr').get('/reportes/respuestas/csv', { params: { survey: 'onboarding-30', sentiment: 'true' } });
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-disposition'], /filename="respuestas_\d{4}-\d{2}-\d{2}_\d{4}-\d{2}-\d{2}\.csv"/);
+    const [header, row] = res.data.replace(/^\uFEFF/, '').trim().split('\r\n');
+    assert.match(header, /^Envío,Código externo,Ola,Estado,Fecha de envío,"?¿Estoy satisfecho con el proceso de reclutamiento/);
+    assert.match(header, /,Sentimiento \(puntaje\),Sentimiento,Palabras clave$/);
+    assert.ok(row.startsWith(`${body.submission_id},10001,D30,completed,`));
+    assert.match(row, /,1 - Muy insatisfecho,1 - Muy insatisfecho,Si,/);
+    assert.match(row, /,-?\d+(\.\d+)?,(POSITIVO|NEGATIVO|NEUTRAL),/);
+  });
+
+  it('exporta en XLSX y valida el periodo y la ola', async () => {
+    await submit('10001');
+    const hr = ctx.as('hr');
+
+    const xlsx = await hr.get('/reportes/respuestas/xlsx', { responseType: 'arraybuffer' });
+    assert.equal(xlsx.status, 200);
+    assert.equal(Buffer.from(xlsx.data).slice(0, 2).toString(), 'PK');
+
+    assert.equal((await hr.get('/reportes/respuestas/csv', { params: { to: '2026-02-30' } })).status, 422);
+    assert.equal((await hr.get('/reportes/respuestas/csv', { params: { survey: 'onboarding-365' } })).status, 422);
+    assert.equal((await ctx.as('employee', '10001').get('/reportes/respuestas/csv')).status, 403);
+  });
+
+  it('exporta desde la línea de comandos', async () => {
+    await submit('10001');
+    await submit('10002');
+    const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'onb-export-')), 'respuestas.csv');
+
+    const result = spawnSync(process.execPath, [CLI, 'export', '--from', '2020-01-01', '--out', out], { env: process.env, encoding: 'utf8', timeout: 30000 });
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /2 respuestas exportadas/);
+    const lines = fs.readFileSync(out, 'utf8').trim().split('\r\n');
+    assert.equal(lines.length, 3);
+    assert.match(lines[2], /,10002,D30,pending,/);
+    fs.rmSync(path.dirname(out), { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./support/harness');
+
+// CURPs del fixture de src/mocks/successfactors
+const CURP = {
+  D30: 'HEGG560427MVZRRL04',      // Ingresó hace 20 días
+  D90: 'GOLA900115HDFNPN04',      // Ingresó hace 100 días, ya contestó la del día 30
+  ANSWERED: 'MARE850302MJCRRS08', // Ya contestó (registro sin ola)
+  EXPIRED: 'PELJ950710HNLRPN09',  // Fuera de toda ventana
+  UNKNOWN: 'ROSA800101HDFDNN02'   // Válida pero no existe en SuccessFactors
+};
+
+describe('POST /search', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await harness.start();
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  beforeEach(() => {
+    ctx.reset();
+  });
+
+  it('ofrece la encuesta del día 30 a un empleado recién ingresado', async () => {
+    const res = await ctx.client.post('/search', { curp: CURP.D30 });
+
+    assert.equal(res.status, 200);
+    const { token, ...data } = res.data;
+    assert.deepEqual(data, {
+      message: 'Encontrado!',
+      external_code: '10001',
+      full_name: 'Guadalupe Hernández García',
+      survey: 'onboarding-30'
+    });
+    const survey = await ctx.client.get('/survey/onboarding-30', { headers: { Authorization: 'Bearer ' + token } });
+    assert.equal(survey.status, 200);
+    assert.equal(ctx.logs('INFO_SURVEY_AVAILABLE').length, 1);
+  });
+
+  it('ofrece la encuesta del día 90 si ya contestó la del día 30', async () => {
+    const res = await ctx.client.post('/search', { curp: CURP.D90 });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.data.survey, 'onboarding-90');
+  });
+
+  it('rechaza una CURP con estructura inválida sin consultar SuccessFactors', async () => {
+    const res = await ctx.client.post('/search', { curp: 'HEGG560427MVZRRL05' });
+
+    assert.equal(res.status, 422);
+    assert.equal(res.data.errors[0].msg, 'El dígito verificador de la CURP no es válido.');
+    assert.equal(ctx.logs('INFO_SEARCH_START').length, 0);
+  });
+
+  it('ERR_001: falla la consulta de PerPerson', async () => {
+    ctx.sf.locals.db.failures.PerPerson = 500;
+
+    const res = await ctx.client.post('/search', { curp: CURP.D30 });
+
+    assert.equal(res.status, 422);
+    assert.equal(res.data.message, 'Ocurrio un problema con la busqueda, intentalo nuevamente.');
+    const [entry] = ctx.logs('ERR_001');
+    assert.equal(entry.data.status, 500);
+    assert.equal(entry.data.curp, CURP.D30);
+  });
+
+  it('ERR_002: la CURP no existe en SuccessFactors', async () => {
+    const res = await ctx.client.post('/search', { curp: CURP.UNKNOWN });
+
+    assert.equal(res.status, 422);
+    assert.equal(res.data.message, 'Tu CURP no se encuentra para realizar la encuesta.');
+    assert.equal(ctx.logs('ERR_002')[0].data.curp, CURP.UNKNOWN);
+  });
+
+  it('ERR_003: falla la consulta de cust_Claves_ONB', async () => {
+    ctx.sf.locals.db.failures.cust_Claves_ONB = 503;
+
+    const res = await ctx.client.post('/search', { curp: CURP.D30 });
+
+    assert.equal(res.status, 422);
+    assert.equal(res.data.message, 'Ocurrio un problema con la busqueda, intentalo nuevamente.');
+    const [entry] = ctx.logs('ERR_003');
+    assert.equal(entry.data.status, 503);
+    assert.equal(entry.data.survey, 'onboarding-30');
+  });
+
+  it('ERR_004: la encuesta ya fue contestada', async () => {
+    const res = await ctx.client.post('/search', { curp: CURP.ANSWERED });
+
+    assert.equal(res.status, 422);
+    assert.equal(res.data.message, 'La encuesta para este CURP ya fue contestada.');
+    assert.deepEqual(ctx.logs('ERR_004')[0].data.surveys, ['onboarding-30']);
+  });
+
+  it('ERR_004: hay un envío de la ola en proceso en la cola', async () => {
+    const enqueued = await ctx.as('employee', '10001').post('/encuesta', harness.answers('onboarding-30', '10001'));
+    assert.equal(enqueued.status, 202);
+
+    const res = await ctx.client.post('/search', { curp: CURP.D30 });
+
+    assert.equal(res.status, 422);
+    assert.equal(ctx.logs('ERR_004').length, 1);
+  });
+
+  it('ERR_013: no hay encuesta para la antigüedad del empleado', async () => {
+    const res = await ctx.client.post('/search', { curp: CURP.EXPIRED });
+
+    assert.equal(res.status, 422);
+    assert.equal(res.data.message, 'Por el momento no hay una encuesta disponible para ti.');
+    assert.equal(ctx.logs('ERR_013')[0].data.external_code, '10004');
+  });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const xlsxReader = require('xlsx');
+const spreadsheet = require('../src/helpers/spreadsheet');
+
+const COLUMNS = [{ key: 'theme', label: 'Tema' }, { key: 'score', label: 'Sentimiento' }];
+
+describe('spreadsheet', () => {
+  it('escapa comillas, comas y textos que Excel tomaría como fórmula', () => {
+    const csv = spreadsheet.toCsv(COLUMNS, [
+      { theme: 'equipo de "cómputo", laptop', score: -0.5 },
+      { theme: '=HYPERLINK("x")', score: null }
+    ]);
+
+    assert.equal(csv, 'Tema,Sentimiento\r\n"equipo de ""cómputo"", laptop",-0.5\r\n"\'=HYPERLINK(""x"")",\r\n');
+  });
+
+  it('genera un XLSX sin dejar archivos temporales', () => {
+    const xlsx = spreadsheet.toXlsx(COLUMNS, [{ theme: 'Inducción', score: 0.2 }]);
+
+    // Un XLSX es un ZIP
+    assert.equal(xlsx.slice(0, 2).toString(), 'PK');
+  });
+
+  it('en XLSX escribe como texto los valores que parecen fórmula, sin anteponer \'', () => {
+    const workbook = xlsxReader.read(spreadsheet.toXlsx(COLUMNS, [{ theme: '=HYPERLINK("x")', score: '-1' }]));
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+
+    assert.deepEqual([sheet.A2.t, sheet.A2.v, sheet.A2.f], ['s', '=HYPERLINK("x")', undefined]);
+    assert.equal(sheet.B2.v, '-1');
+  });
+});
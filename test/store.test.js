@@ -0,0 +1,306 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const harness = require('./support/harness');
+
+describe('POST /encuesta', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await harness.start();
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  beforeEach(() => {
+    ctx.reset();
+  });
+
+  // Cliente con el token que /search emite al empleado 10001
+  const employee = () => ctx.as('employee', '10001');
+
+  // Encolar un envío válido del empleado 10001 y procesarlo una vez
+  async function submitAndProcess(body = harness.answers('onboarding-30', '10001')) {
+    const res = await employee().post('/encuesta', body);
+    assert.equal(res.status, 202);
+    await ctx.worker.runOnce();
+    return ctx.queue.get(body.submission_id);
+  }
+
+  // Volver a procesar un envío que quedó programado para reintento
+  async function retry(submission) {
+    ctx.queue.update(submission.id, { next_attempt_at: new Date().toISOString() });
+    await ctx.worker.runOnce();
+    return ctx.queue.get(submission.id);
+  }
+
+  it('guarda el adjunto y las respuestas en SuccessFactors', async () => {
+    const body = harness.answers('onboarding-30', '10001');
+    const res = await employee().post('/encuesta', body);
+
+    assert.equal(res.status, 202);
+    assert.deepEqual(res.data, {
+      message: 'Encuesta recibida, estamos procesando tus respuestas.',
+      submission_id: body.submission_id,
+      status: 'pending'
+    });
+
+    await ctx.worker.runOnce();
+
+    const status = await employee().get('/encuesta/' + body.submission_id);
+    assert.equal(status.data.status, 'completed');
+    assert.equal(ctx.nlu.requests, 1);
+    assert.equal(ctx.sf.locals.db.attachments.length, 1);
+    const [attachment] = ctx.sf.locals.db.attachments;
+    assert.equal(attachment.fileName, `pi_${body.submission_id}.pdf`);
+    assert.match(Buffer.from(attachment.fileContent, 'base64').toString(), /^%PDF-/);
+
+    const record = ctx.sf.locals.db.cust_Claves_ONB.find(r => r.externalCode === '10001');
+    assert.equal(record.cust_encuesta, 'D30');
+    assert.equal(record.cust_Comentarios_adicionales, body.comments);
+    assert.equal(record.cust_Carga_documentoNav.__metadata.uri, 'Attachment(attachmentId=1001)');
+
+    const [entry] = ctx.logs('INFO_SURVEY_SUCCESS');
+    assert.equal(entry.data.submission_id, body.submission_id);
+    assert.equal(entry.data.attachment_id, 'attachmentId=1001');
+  });
+
+  it('sirve las gráficas del análisis guardado como SVG', async () => {
+    const submission = await submitAndProcess();
+    const chart = (name, params) => ctx.as('hr').get(`/encuesta/${submission.id}/charts/${name}.svg`, { params });
+
+    const sentiment = await chart('sentiment');
+    assert.equal(sentiment.status, 200);
+    assert.match(sentiment.headers['content-type'], /^image\/svg\+xml/);
+    assert.match(sentiment.data, /computadora de trabajo/);
+
+    assert.equal((await chart('emotions')).status, 200);
+    assert.match((await chart('radar', { topic: 'Estafeta' })).data, /<title>Estafeta<\/title>/);
+    assert.equal((await chart('radar', { topic: 'otro tema' })).status, 404);
+    assert.equal((await chart('pie')).status, 404);
+    assert.equal((await ctx.as('hr').get('/encuesta/no-existe/charts/sentiment.svg')).status, 404);
+  });
+
+  it('reenviar el mismo submission_id no crea otro envío', async () => {
+    const body = harness.answers('onboarding-30', '10001');
+    await employee().post('/encuesta', body);
+
+    const res = await employee().post('/encuesta', body);
+
+    assert.equal(res.status, 202);
+    assert.equal(res.data.submission_id, body.submission_id);
+    assert.equal(ctx.logs('INFO_SUBMISSION_REPLAYED').length, 1);
+    assert.equal(ctx.queue.list().length, 1);
+  });
+
+  it('rechaza respuestas que no cumplen la definición de la encuesta', async () => {
+    const body = Object.assign(harness.answers('onboarding-30', '10001'), { q1: '9', comments: 'Muy corto' });
+
+    const res = await employee().post('/encuesta', body);
+
+    assert.equal(res.status, 422);
+    assert.deepEqual(res.data.errors.map(e => e.param).sort(), ['comments', 'q1']);
+    assert.equal(ctx.queue.list().length, 0);
+  });
+
+  it('rechaza una ola que no corresponde a la fecha de ingreso del empleado', async () => {
+    const hire_date = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const client = ctx.as('employee', '10001', { hire_date });
+
+    const res = await client.post('/encuesta', harness.answers('onboarding-90', '10001'));
+
+    assert.equal(res.status, 422);
+    assert.deepEqual(res.data.errors.map(e => e.param), ['survey']);
+    assert.equal(ctx.queue.list().length, 0);
+    assert.equal((await client.post('/encuesta', harness.answers('onboarding-30', '10001'))).status, 202);
+  });
+
+  it('ERR_012: el empleado ya tiene un envío de la misma ola', async () => {
+    await employee().post('/encuesta', harness.answers('onboarding-30', '10001'));
+
+    const res = await employee().post('/encuesta', harness.answers('onboarding-30', '10001'));
+
+    assert.equal(res.status, 409);
+    assert.equal(res.data.message, 'La encuesta para este CURP ya fue contestada.');
+    assert.equal(ctx.logs('ERR_012').length, 1);
+  });
+
+  it('ERR_012: un envío fallido no se reenvía si otro envío ya tomó la ola', async () => {
+    const failed = harness.answers('onboarding-30', '10001');
+    await employee().post('/encuesta', failed);
+    ctx.queue.update(failed.submission_id, { status: 'failed' });
+    const newer = harness.answers('onboarding-30', '10001');
+    assert.equal((await employee().post('/encuesta', newer)).status, 202);
+
+    const res = await employee().post('/encuesta', failed);
+
+    assert.equal(res.status, 409);
+    assert.equal(ctx.queue.get(failed.submission_id).status, 'failed');
+    assert.equal(ctx.queue.findByExternalCode('10001', 'onboarding-30').id, newer.submission_id);
+    assert.equal(ctx.logs('ERR_012')[0].data.existing_submission_id, newer.submission_id);
+
+    ctx.queue.update(newer.submission_id, { status: 'failed' });
+    assert.equal((await employee().post('/encuesta', failed)).status, 202);
+    assert.equal(ctx.queue.findByExternalCode('10001', 'onboarding-30').id, failed.submission_id);
+  });
+
+  it('no procesa un envío que ya tomó otro proceso', async () => {
+    const body = harness.answers('onboarding-30', '10001');
+    await employee().post('/encuesta', body);
+    const [listed] = ctx.queue.due();
+
+    assert.equal(ctx.queue.take(body.submission_id).status, 'processing');
+
+    assert.equal(await ctx.worker.runOnce(), 0);
+    assert.equal(ctx.queue.take(listed.id), null);
+    assert.equal(ctx.queue.get(body.submission_id).attempts, 1);
+    assert.equal(ctx.sf.locals.db.attachments.length, 0);
+  });
+
+  it('update escribe con el candado del envío sin perder los cambios de take', async () => {
+    const body = harness.answers('onboarding-30', '10001');
+    await employee().post('/encuesta', body);
+    const lock = path.join(process.env.QUEUE_DIR, body.submission_id + '.json.lock');
+
+    // Otro proceso tiene el candado y no lo libera: update no escribe sin él
+    fs.writeFileSync(lock, '0');
+    assert.throws(() => ctx.queue.update(body.submission_id, { status: 'failed' }), { code: 'LOCKED' });
+    fs.rmSync(lock);
+    assert.equal(ctx.queue.get(body.submission_id).status, 'pending');
+
+    ctx.queue.take(body.submission_id);
+    ctx.queue.update(body.submission_id, { analysis: null });
+    assert.deepEqual([ctx.queue.get(body.submission_id).status, ctx.queue.get(body.submission_id).attempts], ['processing', 1]);
+  });
+
+  it('registra en el log un envío de la cola que no se puede leer', async () => {
+    fs.mkdirSync(process.env.QUEUE_DIR, { recursive: true });
+    fs.writeFileSync(path.join(process.env.QUEUE_DIR, 'roto.json'), '{');
+
+    assert.deepEqual(ctx.queue.list(), []);
+    assert.equal(ctx.logs('ERR_QUEUE_READ')[0].data.file, 'roto.json');
+  });
+
+  it('sólo devuelve a pendientes los envíos abandonados en proceso', async () => {
+    const body = harness.answers('onboarding-30', '10001');
+    await employee().post('/encuesta', body);
+    ctx.queue.take(body.submission_id);
+
+    // Recién tomado por otro proceso (p. ej. bin/onb replay --now): no se toca
+    assert.equal(await ctx.worker.runOnce(), 0);
+    assert.equal(ctx.queue.get(body.submission_id).status, 'processing');
+
+    ctx.queue.update(body.submission_id, { processing_since: new Date(Date.now() - 60 * 60 * 1000).toISOString() });
+    assert.equal(await ctx.worker.runOnce(), 1);
+    assert.equal(ctx.queue.get(body.submission_id).status, 'completed');
+    assert.equal(ctx.logs('WARN_QUEUE_RECOVERED')[0].data.recovered, 1);
+    assert.equal(ctx.sf.locals.db.attachments.length, 1);
+  });
+
+  it('processNow usa la función de procesamiento que recibe', async () => {
+    const body = harness.answers('onboarding-30', '10001');
+    await employee().post('/encuesta', body);
+    const received = [];
+
+    const processed = await ctx.worker.processNow(body.submission_id, async submission => {
+      received.push(submission.id);
+      return { success: true };
+    });
+
+    assert.deepEqual(received, [body.submission_id]);
+    assert.equal(processed.status, 'completed');
+    assert.equal(ctx.sf.locals.db.attachments.length, 0);
+  });
+
+  it('ERR_005: SuccessFactors rechaza el upsert del adjunto', async () => {
+    ctx.sf.locals.db.failures.upsert = 500;
+
+    const submission = await submitAndProcess();
+
+    assert.equal(submission.status, 'pending');
+    assert.equal(submission.last_error.code, 'ERR_005');
+    assert.equal(ctx.logs('ERR_005')[0].data.status, 500);
+    assert.equal(ctx.logs('WARN_QUEUE_RETRY').length, 1);
+  });
+
+  it('el reintento del adjunto reutiliza el análisis guardado en el envío', async () => {
+    ctx.sf.locals.db.failures.upsert = 500;
+    let submission = await submitAndProcess();
+    assert.equal(submission.analysis.analysis.keywords.length > 0, true);
+
+    ctx.sf.locals.db.failures.upsert = null;
+    submission = await retry(submission);
+
+    assert.equal(submission.status, 'completed');
+    assert.equal(ctx.nlu.requests, 1);
+  });
+
+  it('ERR_006: el registro del adjunto regresa un httpCode de error', async () => {
+    ctx.sf.locals.db.failures.records.push({ entity: 'Attachment', httpCode: 400, message: 'Archivo inválido' });
+
+    const submission = await submitAndProcess();
+
+    assert.equal(submission.last_error.code, 'ERR_006');
+    assert.equal(submission.progress.attachment_id, null);
+    assert.equal(ctx.logs('ERR_006')[0].data.httpCode, 400);
+  });
+
+  it('ERR_050: falla el análisis del texto al generar el PDF', async () => {
+    ctx.nlu.status = 500;
+
+    const submission = await submitAndProcess();
+
+    assert.equal(submission.last_error.code, 'ERR_050');
+    assert.equal(ctx.logs('ERR_010').length, 1);
+    assert.equal(ctx.logs('ERR_050')[0].data.external_code, '10001');
+    assert.equal(ctx.sf.locals.db.attachments.length, 0);
+  });
+
+  it('ERR_008: el registro de respuestas regresa un httpCode de error', async () => {
+    ctx.sf.locals.db.failures.records.push({ entity: 'cust_Claves_ONB', match: { externalCode: '10001' }, httpCode: 500 });
+
+    const submission = await submitAndProcess();
+
+    assert.equal(submission.last_error.code, 'ERR_008');
+    assert.equal(submission.progress.attachment_id, 'attachmentId=1001');
+    assert.equal(ctx.logs('ERR_008')[0].data.httpCode, 500);
+  });
+
+  it('ERR_007: SuccessFactors rechaza el upsert de respuestas y el reintento reutiliza el adjunto', async () => {
+    ctx.sf.locals.db.failures.records.push({ entity: 'cust_Claves_ONB', httpCode: 500 });
+    let submission = await submitAndProcess();
+    assert.equal(submission.last_error.code, 'ERR_008');
+
+    ctx.sf.locals.db.failures.records = [];
+    ctx.sf.locals.db.failures.upsert = 502;
+    submission = await retry(submission);
+
+    assert.equal(submission.last_error.code, 'ERR_007');
+    assert.equal(ctx.logs('ERR_007')[0].data.status, 502);
+    assert.equal(ctx.logs('INFO_ATTACHMENT_REUSED').length, 1);
+
+    ctx.sf.locals.db.failures.upsert = null;
+    submission = await retry(submission);
+
+    assert.equal(submission.status, 'completed');
+    assert.equal(ctx.sf.locals.db.attachments.length, 1);
+    assert.equal(ctx.sf.locals.db.cust_Claves_ONB.filter(r => r.externalCode === '10001').length, 1);
+  });
+
+  it('ERR_060: se pierde la conexión al guardar las respuestas', async () => {
+    ctx.sf.locals.db.failures.records.push({ entity: 'cust_Claves_ONB', httpCode: 500 });
+    let submission = await submitAndProcess();
+
+    ctx.sf.locals.db.failures.records = [];
+    ctx.sf.locals.db.failures.upsert = 'disconnect';
+    submission = await retry(submission);
+
+    assert.equal(submission.last_error.code, 'ERR_060');
+    assert.equal(ctx.logs('WARN_COMM_FAILURE').length, 1);
+    assert.equal(ctx.logs('ERR_COMM_FAILURE').length, 0);
+    assert.equal(ctx.logs('ERR_060')[0].data.attachment_id, 'attachmentId=1001');
+  });
+});
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const axios = require('axios');
+const { createMockServer, BASE_PATH } = require('../../src/mocks/successfactors');
+
+const NLU_FIXTURE = path.join(__dirname, '../../src/services/analysis/fixtures/nlu_response.json');
+
+// Comentario de más de 100 palabras (mínimo de la pregunta "comments")
+const COMMENTS = Array(8).fill(
+  'Estoy muy contento con la bienvenida que me dieron en Estafeta y con el apoyo de mi líder durante las primeras semanas.'
+).join(' ');
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function close(server) {
+  return new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(() => resolve());
+  });
+}
+
+/**
+ * Sustituto local de IBM NLU: responde la respuesta grabada, o el código indicado en nlu.status
+ */
+function createNluServer() {
+  const nlu = { status: 200, requests: 0 };
+  nlu.server = http.createServer((req, res) => {
+    nlu.requests++;
+    res.writeHead(nlu.status, { 'Content-Type': 'application/json' });
+    res.end(nlu.status === 200 ? fs.readFileSync(NLU_FIXTURE) : JSON.stringify({ error: 'Falla simulada de NLU', code: nlu.status }));
+  });
+  return nlu;
+}
+
+/**
+ * Levantar la app contra SuccessFactors simulado y un NLU local, con cola y log temporales.
+ * Las variables de entorno se fijan antes de cargar app.js porque la cola y el logger las leen al cargarse.
+ * @returns {Promise<object>} - Contexto de la prueba
+ */
+async function start() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'onb-test-'));
+
+  const nlu = createNluServer();
+  const nluPort = await listen(nlu.server);
+
+  const sf = createMockServer();
+  const sfServer = http.createServer(sf);
+  const sfPort = await listen(sfServer);
+
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    API_SUCCESSF_URL: `http://127.0.0.1:${sfPort}${BASE_PATH}/`,
+    API_SUCCESSF_USER: 'test',
+    API_SUCCESSF_PASSWORD: 'test',
+    ANALYSIS_PROVIDER: 'ibm_nlu',
+    API_PI_URL: `http://127.0.0.1:${nluPort}/v1/analyze`,
+    API_PI_USER: 'apikey',
+    API_PI_PASS: 'test',
+    QUEUE_DIR: path.join(dir, 'submissions'),
+    RESPONSES_DIR: path.join(dir, 'responses'),
+    // El worker sólo procesa cuando la prueba llama a runOnce()
+    QUEUE_POLL_INTERVAL: String(60 * 60 * 1000),
+    LOG_FILE: path.join(dir, 'application.log'),
+    AUTH_TOKEN_SECRET: 'secreto-de-pruebas',
+    AUTH_USERS_FILE: path.join(dir, 'users.json'),
+    EMAIL_USER: ''
+  });
+
+  const app = require('../../app');
+  const estafeta = require('../../src/routes/estafeta');
+  const pi = require('../../src/helpers/personality-insights');
+  const queue = require('../../src/helpers/submission-queue');
+  const worker = require('../../src/helpers/submission-worker');
+  const auth = require('../../src/auth');
+
+  // No hay Chromium en el entorno de pruebas: se conserva el análisis y la plantilla, sólo cambia el render
+  pi.createPDF = async html => Buffer.from('%PDF-1.4\n% ' + html.length + '\n');
+
+  const appServer = http.createServer(app);
+  const appPort = await listen(appServer);
+  worker.start(estafeta.processSubmission);
+
+  const clientWith = headers => axios.create({
+    baseURL: `http://127.0.0.1:${appPort}`,
+    validateStatus: () => true,
+    headers
+  });
+  const client = clientWith({});
+
+  return {
+    client,
+    nlu,
+    sf,
+    queue,
+    worker,
+
+    // Cliente con un token firmado para un rol: as('employee', '10001'), as('hr');
+    // employee son los datos que /search agrega al token del empleado ({ hire_date, department })
+    as(role, id = role, employee) {
+      return clientWith({ Authorization: 'Bearer ' + auth.tokens.create({ sub: id, roles: [role], employee }) });
+    },
+
+    // Estado inicial entre pruebas: fixture de SuccessFactors, NLU disponible, cola, respuestas, usuarios locales, intentos fallidos y log vacíos
+    reset() {
+      sf.locals.reset();
+      auth.throttle.clear();
+      nlu.status = 200;
+      nlu.requests = 0;
+      fs.rmSync(process.env.QUEUE_DIR, { recursive: true, force: true });
+      fs.rmSync(process.env.RESPONSES_DIR, { recursive: true, force: true });
+      fs.rmSync(process.env.AUTH_USERS_FILE, { force: true });
+      fs.writeFileSync(process.env.LOG_FILE, '');
+    },
+
+    // Entradas del log con el código indicado
+    logs(code) {
+      return fs.readFileSync(process.env.LOG_FILE, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line))
+        .filter(entry => entry.code === code);
+    },
+
+    async stop() {
+      await worker.stop();
+      await Promise.all([close(appServer), close(sfServer), close(nlu.server)]);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Respuestas válidas para una encuesta, tomando la primera opción de cada pregunta
+ * @param {string} surveyId - Identificador de la encuesta
+ * @param {string} external_code - Código externo del empleado
+ * @returns {object} - Cuerpo para POST /encuesta
+ */
+function answers(surveyId, external_code) {
+  const survey = require('../../src/helpers/survey');
+  const definition = survey.load(surveyId);
+  const body = {
+    submission_id: crypto.randomUUID(),
+    external_code,
+    survey: surveyId
+  };
+  definition.questions.forEach(q => {
+    body[q.id] = q.type === survey.TYPES.TEXT ? COMMENTS : survey.optionsFor(definition, q)[0].value;
+  });
+  return body;
+}
+
+module.exports = {
+  start,
+  answers,
+};
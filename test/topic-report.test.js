@@ -0,0 +1,110 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./support/harness');
+
+function topic(text, score, relevance = 0.5) {
+  return { text, relevance, sentiment: { score, label: score < 0 ? 'negative' : 'positive' } };
+}
+
+describe('topic-report', () => {
+  let ctx;
+  let topicReport;
+
+  before(async () => {
+    ctx = await harness.start();
+    topicReport = require('../src/helpers/topic-report');
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  beforeEach(() => {
+    ctx.reset();
+  });
+
+  it('agrupa sinónimos del catálogo y ordena los temas más negativos con citas', () => {
+    const themes = topicReport.aggregate([
+      {
+        comment: 'Me dieron la computadora dos semanas tarde. Mi líder es muy atento.',
+        analysis: { keywords: [topic('computadora', -0.8), topic('líder', 0.6)], entities: [] }
+      },
+      {
+        comment: 'El equipo de cómputo no tenía los programas. La inducción fue corta.',
+        analysis: { keywords: [topic('equipo de cómputo', -0.4), topic('inducción', -0.2)], entities: [] }
+      }
+    ]);
+
+    const computo = themes.find(theme => theme.id === 'equipo_computo');
+    assert.deepEqual(computo.terms, ['computadora', 'equipo de cómputo']);
+    assert.equal(computo.mentions, 2);
+    assert.equal(computo.sentiment, -0.6);
+    assert.deepEqual(computo.quotes, ['Me dieron la computadora dos semanas tarde.', 'El equipo de cómputo no tenía los programas.']);
+
+    assert.deepEqual(topicReport.rankNegative(themes).map(theme => theme.label), ['Equipo de cómputo', 'Inducción y capacitación']);
+  });
+
+  it('traduce los nombres de los temas del catálogo', () => {
+    const items = [{ comment: 'La laptop llegó tarde.', analysis: { keywords: [topic('laptop', -0.5), topic('paquetería', -0.2)], entities: [] } }];
+
+    assert.deepEqual(topicReport.aggregate(items, 'en').map(theme => theme.label), ['Computer equipment', 'paquetería']);
+    assert.equal(topicReport.themeOf('jefe inmediato', 'en').label, 'Leader and direct manager');
+    assert.equal(topicReport.themeOf('jefe inmediato').label, 'Líder y jefe inmediato');
+  });
+
+  it('rechaza periodos inválidos', () => {
+    assert.throws(() => topicReport.periodOf({ from: '2026-13-01' }), { code: 'INVALID_PERIOD' });
+    assert.throws(() => topicReport.periodOf({ from: '2026-10-10', to: '2026-10-01' }), { code: 'INVALID_PERIOD' });
+  });
+
+  it('genera el reporte de temas del periodo en HTML, PDF y XLSX', async () => {
+    const body = harness.answers('onboarding-30', '10001');
+    await ctx.as('employee', '10001').post('/encuesta', body);
+    await ctx.worker.runOnce();
+    const hr = ctx.as('hr');
+
+    const html = await hr.get('/reportes/temas');
+    assert.equal(html.status, 200);
+    assert.match(html.data, /Comentarios analizados: <strong>1<\/strong>/);
+    assert.match(html.data, /Equipo de cómputo/);
+    assert.equal(ctx.nlu.requests, 1);
+
+    const pdf = await hr.get('/reportes/temas/pdf', { responseType: 'arraybuffer' });
+    assert.match(Buffer.from(pdf.data).toString(), /^%PDF-/);
+
+    const xlsx = await hr.get('/reportes/temas/xlsx', { params: { from: '2020-01-01' }, responseType: 'arraybuffer' });
+    assert.equal(xlsx.status, 200);
+    assert.match(xlsx.headers['content-disposition'], /filename="temas_2020-01-01_\d{4}-\d{2}-\d{2}\.xlsx"/);
+    assert.equal(Buffer.from(xlsx.data).slice(0, 2).toString(), 'PK');
+
+    assert.equal((await hr.get('/reportes/temas', { params: { from: 'ayer' } })).status, 422);
+    assert.equal((await ctx.as('operator').get('/reportes/temas')).status, 403);
+  });
+
+  it('el reporte no llama al proveedor; los comentarios sin análisis quedan pendientes hasta analyzePending', async () => {
+    const body = harness.answers('onboarding-30', '10001');
+    await ctx.as('employee', '10001').post('/encuesta', body);
+    ctx.nlu.status = 500;
+    await ctx.worker.runOnce();
+    ctx.queue.update(body.submission_id, { status: 'failed' });
+
+    let report = topicReport.build();
+    assert.deepEqual([report.comments, report.pending], [0, 1]);
+    assert.match((await ctx.as('hr').get('/reportes/temas')).data, /pendientes de análisis: <strong>1<\/strong>/);
+    assert.equal(ctx.nlu.requests, 1);
+
+    const failed = await topicReport.analyzePending();
+    assert.deepEqual([failed.analyzed, failed.failed], [0, 1]);
+    assert.equal(ctx.logs('WARN_TOPICS_ANALYSIS')[0].data.submission_id, body.submission_id);
+
+    ctx.nlu.status = 200;
+    assert.equal((await topicReport.analyzePending()).analyzed, 1);
+    assert.equal((await topicReport.analyzePending()).analyzed, 0);
+
+    // Sólo el análisis de texto: el PDF del envío, si se reenvía, sigue necesitando el perfil
+    assert.equal(ctx.queue.get(body.submission_id).text_analysis.keywords.length > 0, true);
+    report = topicReport.build();
+    assert.deepEqual([report.comments, report.pending], [1, 0]);
+    assert.equal(report.themes.some(theme => theme.label === 'Equipo de cómputo'), true);
+  });
+});